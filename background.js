@@ -1,7 +1,5 @@
 // background.js (MV3 service worker)
 
-const activeObjectUrls = new Map(); // downloadId -> objectUrl
-
 // ===== Memory storage (v3: creator-nested) =====
 const DL_V3_INDEX_KEY      = 'downloadedIds_v3_index';
 const DL_V3_CREATOR_PREFIX = 'downloadedIds_v3_creator_';
@@ -15,6 +13,13 @@ const DL_V2_CHUNK_PREFIX = 'downloadedIds_v2_chunk_';
 const CREATOR_VISITS_KEY       = 'rg_creator_visits';
 const CREATOR_FIRST_VISITS_KEY = 'rg_creator_first_visits';
 const SETTINGS_KEY = 'rg_settings_v1';
+const QUEUE_KEY    = 'rg_queue_v1';
+
+const QUEUE_RECENT_LIMIT = 50;
+const MAX_CONCURRENCY = 6;
+const OFFSCREEN_URL = 'offscreen.html';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 function parseOrphanChunkNum(key) {
   const m = key.match(/^downloadedIds_v3_orphan_(\d{4})$/);
@@ -169,6 +174,44 @@ async function memRecordSeenV3(ids, creator) {
   });
 }
 
+// Which of ids are downloaded (for pages that can't load the whole record themselves).
+// The downloaded IDs are read once and kept until any memory key changes, so pages that
+// ask on every scroll don't load every chunk each time.
+let downloadedIdsCache = null; // Set of downloaded IDs
+let downloadedIdsGen = 0; // bumped on every memory change, so a load that raced one isn't kept
+
+function isMemoryKey(key) {
+  return key === DL_V3_INDEX_KEY || key.startsWith(DL_V3_CREATOR_PREFIX) || key.startsWith(DL_V3_ORPHAN_PREFIX);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !Object.keys(changes).some(isMemoryKey)) return;
+  downloadedIdsCache = null;
+  downloadedIdsGen++;
+});
+
+async function memFindDownloadedV3(ids) {
+  return withMemLock(async () => {
+    if (!ids?.length) return { ok: true, downloaded: [] };
+    let cache = downloadedIdsCache;
+    if (!cache) {
+      const gen = downloadedIdsGen;
+      const idx = await ensureIndexV3();
+      const keys = [
+        ...Object.keys(idx.creators).map(c => DL_V3_CREATOR_PREFIX + c),
+        ...idx.orphaned.chunks,
+      ];
+      const data = keys.length ? await chrome.storage.local.get(keys) : {};
+      cache = new Set();
+      for (const k of keys) {
+        for (const [id, v] of Object.entries(data[k] || {})) if (v) cache.add(id);
+      }
+      if (gen === downloadedIdsGen) downloadedIdsCache = cache;
+    }
+    return { ok: true, downloaded: ids.filter(id => cache.has(id)) };
+  });
+}
+
 async function memGetCountV3() {
   return withMemLock(async () => {
     const idx = await ensureIndexV3();
@@ -267,15 +310,1536 @@ async function migrateV2toV3() {
 // Kick off migration at service-worker start; all MEM_* operations queue behind it
 memMutex = migrateV2toV3().catch(e => console.warn('[RedgifsBulk] v2→v3 migration failed:', e));
 
-// ===== Downloads cleanup =====
+// ===== Settings (read-side) =====
+async function loadSettings() {
+  const out = await chrome.storage.local.get(SETTINGS_KEY);
+  const stored = out[SETTINGS_KEY] || {};
+  const VALID_SPEED = ['fast', 'normal', 'slow', 'custom'];
+  const VALID_MEM = ['full', 'session', 'none'];
+  const VALID_VARIANT = ['highest', '1080', '720', '480', 'lowest'];
+  const VALID_QUALITY = ['hd', 'sd', 'hls', 'largest'];
+  return {
+    memoryMode: VALID_MEM.includes(stored.memoryMode) ? stored.memoryMode : 'full',
+    downloadSpeed: VALID_SPEED.includes(stored.downloadSpeed) ? stored.downloadSpeed : 'normal',
+    downloadDelayMin: (Number.isFinite(stored.downloadDelayMin) && stored.downloadDelayMin >= 0) ? stored.downloadDelayMin : 400,
+    downloadDelayMax: (Number.isFinite(stored.downloadDelayMax) && stored.downloadDelayMax >= 0) ? stored.downloadDelayMax : 900,
+    downloadConcurrency: (Number.isInteger(stored.downloadConcurrency) && stored.downloadConcurrency >= 1 && stored.downloadConcurrency <= MAX_CONCURRENCY)
+      ? stored.downloadConcurrency : 1,
+    notifications: stored.notifications === true,
+    filenameFormat: typeof stored.filenameFormat === 'string' ? stored.filenameFormat : '<id>',
+    preferredQuality: VALID_QUALITY.includes(stored.preferredQuality) ? stored.preferredQuality : 'hd',
+    sidecarJson: stored.sidecarJson === true,
+    sidecarNfo: stored.sidecarNfo === true,
+    hlsRemux: stored.hlsRemux !== false,
+    hlsFaststart: stored.hlsFaststart !== false,
+    hlsVariant: VALID_VARIANT.includes(stored.hlsVariant) ? stored.hlsVariant : 'highest',
+    externalSites: Array.isArray(stored.externalSites) ? stored.externalSites.filter(h => typeof h === 'string' && h) : [],
+    zipPartSizeMb: (Number.isInteger(stored.zipPartSizeMb) && stored.zipPartSizeMb >= 0) ? stored.zipPartSizeMb : 0,
+  };
+}
+
+function randomDelayMs(settings) {
+  const ranges = {
+    fast:   [100, 300],
+    normal: [400, 900],
+    slow:   [1000, 2000],
+    custom: [settings.downloadDelayMin, settings.downloadDelayMax],
+  };
+  const [min, max] = ranges[settings.downloadSpeed] || ranges.normal;
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function notifyIfEnabled(settings, title, message) {
+  if (!settings.notifications) return;
+  chrome.notifications.create(`rg-${Date.now()}`, {
+    type: 'basic',
+    title,
+    message,
+    iconUrl: chrome.runtime.getURL('icon48.png'),
+  });
+}
+
+// Failure reasons surfaced in the failed-items report: 'api', 'http', 'worker',
+// 'no-urls' or 'download'. Anything thrown without one is reported as 'download'.
+function failure(reason, message) {
+  const err = new Error(message);
+  err.reason = reason;
+  return err;
+}
+
+// ===== Filenames =====
+function formatDate(date, fmt) {
+  const y = String(date.getFullYear());
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return fmt.replace('YYYY', y).replace('MM', m).replace('DD', d);
+}
+
+const FILENAME_SEGMENT_MAX = 100;
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// One folder or file name: no reserved characters, no leading/trailing dots or
+// spaces (which also rules out '.' and '..'), and a bounded length.
+function sanitizePathSegment(segment) {
+  let out = segment.replace(/[\\:*?"<>|\x00-\x1f]/g, '_').replace(/\s+/g, ' ').trim();
+  if (out.length > FILENAME_SEGMENT_MAX) out = out.slice(0, FILENAME_SEGMENT_MAX);
+  out = out.replace(/^[.\s]+|[.\s]+$/g, '');
+  if (WINDOWS_RESERVED_NAME.test(out)) out = `_${out}`;
+  return out;
+}
+
+// ctx.meta is gifMetadata() output (or just { creator } when the API was unavailable),
+// ctx.quality the format chain entry being downloaded, ctx.ext the file extension and
+// ctx.gallery { index, total } for gallery items. '/' in the template creates
+// subfolders under the Downloads directory.
+function buildFilename(videoId, index, total, settings, ctx = {}) {
+  const { meta = null, quality = null, ext = 'mp4', gallery = null } = ctx;
+  const now = new Date();
+  const created = meta?.created ? new Date(meta.created) : null;
+  const tags = meta?.tags || [];
+  const pad = Math.max(String(total || 1).length, 2);
+  // Token values never introduce folders; only the template's own '/' does
+  const value = (v) => String(v ?? '').replace(/[\\/]/g, '_');
+
+  let template = settings.filenameFormat || '<id>';
+  // Gallery items would otherwise all get the same name
+  if (gallery && !template.includes('<gallery_index>')) template += '_<gallery_index>';
+  const galleryIndex = gallery
+    ? String(gallery.index).padStart(Math.max(String(gallery.total).length, 2), '0')
+    : '';
+
+  const result = template
+    .replace(/<date\(([^)]+)\)>/g, (_, fmt) => formatDate(now, fmt))
+    .replace(/<date>/g, formatDate(now, 'YYYYMMDD'))
+    .replace(/<created\(([^)]+)\)>/g, (_, fmt) => created ? formatDate(created, fmt) : '')
+    .replace(/<created>/g, created ? formatDate(created, 'YYYYMMDD') : '')
+    .replace(/<tags(?:\[(\d+)\])?>/g, (_, n) => value((n ? tags.slice(0, parseInt(n, 10)) : tags).join(',')))
+    .replace(/<creator>/g, value(meta?.creator || 'unknown'))
+    .replace(/<duration>/g, Number.isFinite(meta?.duration) ? String(Math.round(meta.duration)) : '')
+    .replace(/<width>/g, Number.isFinite(meta?.width) ? String(meta.width) : '')
+    .replace(/<height>/g, Number.isFinite(meta?.height) ? String(meta.height) : '')
+    .replace(/<quality>/g, value(quality || ''))
+    .replace(/<index>/g, String(index).padStart(pad, '0'))
+    .replace(/<gallery_index>/g, galleryIndex)
+    .replace(/<id>/g, value(videoId));
+
+  const segments = result.split('/').map(sanitizePathSegment);
+  const name = segments.pop() || videoId;
+  return [...segments.filter(Boolean), name].join('/') + '.' + ext;
+}
+
+// Sample input for the options-page preview
+const FILENAME_PREVIEW_META = {
+  creator: 'somecreator',
+  created: '2025-03-01T12:00:00.000Z',
+  duration: 37.4,
+  width: 1080,
+  height: 1920,
+  tags: ['Amateur', 'Outdoor', 'Teasing', 'Solo'],
+};
+
+// ===== Redgifs API =====
+let cachedToken = null;
+let cachedTokenExpiry = 0;
+
+async function fetchText(url) {
+  const res = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(30_000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return await res.text();
+}
+
+function extractMediaUrlsFromWatchHtml(html) {
+  // TODO (S4): Replace with JSON parse of the page's embedded state object (e.g. window.__STORE__)
+  // for more reliable extraction. Regex may match unintended .mp4/.m3u8 URLs from ads or comments.
+  const mp4 = (html.match(/https?:\/\/[^"'\\\s]+\.mp4[^"'\\\s]*/i) || [null])[0];
+  const m3u8 = (html.match(/https?:\/\/[^"'\\\s]+\.m3u8[^"'\\\s]*/i) || [null])[0];
+  return { mp4, m3u8 };
+}
+
+async function getApiToken() {
+  if (cachedToken && Date.now() < cachedTokenExpiry) return cachedToken;
+  const res = await fetch('https://api.redgifs.com/v2/auth/temporary', {
+    signal: AbortSignal.timeout(30_000)
+  });
+  if (!res.ok) throw new Error(`Token fetch failed: HTTP ${res.status}`);
+  const data = await res.json();
+  cachedToken = data.token;
+  cachedTokenExpiry = Date.now() + 20 * 60 * 60 * 1000;
+  return cachedToken;
+}
+
+// Normalized subset of the API's gif object, written to sidecar files
+function gifMetadata(gif) {
+  return {
+    id: gif.id || null,
+    creator: gif.userName || null,
+    created: Number.isFinite(gif.createDate) ? new Date(gif.createDate * 1000).toISOString() : null,
+    duration: Number.isFinite(gif.duration) ? gif.duration : null,
+    width: Number.isFinite(gif.width) ? gif.width : null,
+    height: Number.isFinite(gif.height) ? gif.height : null,
+    hasAudio: typeof gif.hasAudio === 'boolean' ? gif.hasAudio : null,
+    views: Number.isFinite(gif.views) ? gif.views : null,
+    likes: Number.isFinite(gif.likes) ? gif.likes : null,
+    tags: Array.isArray(gif.tags) ? gif.tags : [],
+    niches: Array.isArray(gif.niches) ? gif.niches : [],
+    description: gif.description || null,
+  };
+}
+
+async function apiGet(path) {
+  const token = await getApiToken();
+  const res = await fetch(
+    `https://api.redgifs.com${path}`,
+    { headers: { Authorization: `Bearer ${token}` }, signal: AbortSignal.timeout(30_000) }
+  );
+  if (!res.ok) throw new Error(`API error: HTTP ${res.status}`);
+  return res.json();
+}
+
+// type 2 is an image post; images carry their picture in urls.hd / urls.sd
+function gifSources(gif) {
+  const urls = gif?.urls || {};
+  const kind = gif?.type === 2 ? 'image' : 'video';
+  return {
+    kind,
+    sources: { hd: urls.hd || null, sd: urls.sd || null, hls: kind === 'video' ? (urls.hls || null) : null },
+  };
+}
+
+// Every source the API lists plus its metadata; the watch-page fallback is the last
+// step of the format chain in processOne rather than a replacement for a failed call.
+// kind is 'video', 'image' or 'gallery' (then galleryId names the whole post).
+async function fetchGifUrls(videoId) {
+  const data = await apiGet(`/v2/gifs/${encodeURIComponent(videoId)}`);
+  const urls = data.gif?.urls || {};
+  const { kind, sources } = gifSources(data.gif);
+  const extras = { poster: urls.poster || urls.thumbnail || null, preview: urls.vthumbnail || null };
+  const meta = gifMetadata(data.gif);
+  if (data.gif?.gallery) return { kind: 'gallery', galleryId: data.gif.gallery, sources, extras, meta };
+  if (sources.hd || sources.sd || sources.hls) return { kind, sources, extras, meta };
+  throw new Error('No URLs in API response');
+}
+
+// Items in gallery order as { id, kind, sources }
+async function fetchGalleryItems(galleryId) {
+  const data = await apiGet(`/v2/gallery/${encodeURIComponent(galleryId)}`);
+  return (data.gifs || []).map(gif => ({ id: gif.id, ...gifSources(gif) }));
+}
+
+// Metadata for many IDs in one call (the endpoint takes up to 100); IDs the API
+// doesn't return are simply missing from the result.
+const GIFS_BATCH_MAX = 100;
+
+async function fetchGifsMetadata(ids) {
+  const out = {};
+  for (let i = 0; i < ids.length; i += GIFS_BATCH_MAX) {
+    const batch = ids.slice(i, i + GIFS_BATCH_MAX);
+    const data = await apiGet(`/v2/gifs?ids=${batch.map(encodeURIComponent).join(',')}`);
+    for (const gif of data.gifs || []) if (gif.id) out[gif.id] = gifMetadata(gif);
+  }
+  return out;
+}
+
+// A creator's uploads, newest first, as { id, created (ms) }. The search endpoint
+// lists every gallery item on its own; only the first one stands for the post.
+// With since (ms), paging stops at the first upload created at or before it.
+const CREATOR_PAGE_SIZE = 80;
+const CREATOR_PAGE_DELAY_MS = 250;
+const CREATOR_MAX_PAGES = 500;
+
+async function fetchCreatorPosts(username, since = null) {
+  const posts = [];
+  const seen = new Set();
+  let reachedSince = false;
+  for (let page = 1, pages = 1; !reachedSince && page <= pages && page <= CREATOR_MAX_PAGES; page++) {
+    if (page > 1) await sleep(CREATOR_PAGE_DELAY_MS);
+    const data = await apiGet(`/v2/users/${encodeURIComponent(username)}/search?order=new&count=${CREATOR_PAGE_SIZE}&page=${page}`);
+    pages = Number.isInteger(data.pages) ? data.pages : 0;
+    for (const gif of data.gifs || []) {
+      const key = gif.gallery || gif.id;
+      if (!gif.id || seen.has(key)) continue;
+      seen.add(key);
+      const created = Number.isFinite(gif.createDate) ? gif.createDate * 1000 : null;
+      if (since != null && created != null && created <= since) {
+        reachedSince = true;
+        break;
+      }
+      posts.push({ id: gif.id, created });
+    }
+  }
+  return posts;
+}
+
+// ===== Offscreen document (HLS assembly, ZIP archives, fetched downloads) =====
+// MV3 service workers cannot spawn Web Workers or create object URLs, so HLS jobs and
+// fetched files go through an offscreen document that hands back a blob URL.
+const offscreenObjectUrls = new Map(); // downloadId -> objectUrl owned by the offscreen document
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_URL);
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+  if (contexts.length) return;
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS', 'BLOBS'],
+      justification: 'Assemble HLS segments into an MP4 file in a Web Worker',
+    }).finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+}
+
+async function sendToOffscreen(msg) {
+  await ensureOffscreenDocument();
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ ...msg, target: 'offscreen' }, (resp) => {
+      void chrome.runtime.lastError;
+      resolve(resp);
+    });
+  });
+}
+
+// ===== Downloads =====
+async function downloadDirect(url, filename) {
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+  return { success: true, downloadId };
+}
+
+// The offscreen document fetches the file with the extension's credentials (the same
+// requests that fetch HLS segments) and streams it to disk; the object URL it returns
+// is released once the download settles.
+async function downloadViaFetch(url, filename) {
+  const resp = await sendToOffscreen({ type: 'FETCH_TO_FILE', url });
+  if (!resp?.success) {
+    const err = resp?.error || 'FETCH_FAILED';
+    const status = err.match(/\bHTTP (\d{3})\b/);
+    return { success: false, error: status ? `FETCH_HTTP_${status[1]}` : err };
+  }
+  try {
+    const downloadId = await chrome.downloads.download({ url: resp.url, filename, saveAs: false });
+    offscreenObjectUrls.set(downloadId, resp.url);
+    return { success: true, downloadId, fetched: true };
+  } catch (e) {
+    sendToOffscreen({ type: 'REVOKE_URL', url: resp.url });
+    throw e;
+  }
+}
+
+async function downloadMp4Smart(mp4Url, filename) {
+  let direct = null;
+  try { direct = await downloadDirect(mp4Url, filename); }
+  catch (e) { direct = { success: false, error: String(e?.message || e) }; }
+  if (direct?.success) return { mode: 'mp4-direct', downloadId: direct.downloadId };
+  return downloadMp4Fetched(mp4Url, filename, direct?.error);
+}
+
+async function downloadMp4Fetched(mp4Url, filename, directError = null) {
+  let fetched;
+  try { fetched = await downloadViaFetch(mp4Url, filename); }
+  catch (e) { fetched = { success: false, error: String(e?.message || e) }; }
+  if (fetched.success) return { mode: 'mp4-fetch', downloadId: fetched.downloadId };
+
+  if (/^FETCH_HTTP_\d+$/.test(fetched.error || '')) throw failure('http', fetched.error);
+  throw failure('download', directError || fetched.error || 'download failed');
+}
+
+async function downloadHls(videoId, m3u8Url, filename, settings) {
+  const resp = await sendToOffscreen({
+    type: 'HLS_ASSEMBLE',
+    videoId,
+    m3u8Url,
+    remux: settings.hlsRemux,
+    faststart: settings.hlsRemux && settings.hlsFaststart,
+    variant: settings.hlsVariant,
+  });
+  if (!resp?.success) {
+    const err = resp?.error || 'HLS assembly failed';
+    throw failure(/\bHTTP \d{3}\b/.test(err) ? 'http' : 'worker', err);
+  }
+  try {
+    const downloadId = await chrome.downloads.download({ url: resp.url, filename, saveAs: false });
+    offscreenObjectUrls.set(downloadId, resp.url);
+    return { mode: 'hls', downloadId };
+  } catch (e) {
+    sendToOffscreen({ type: 'REVOKE_URL', url: resp.url });
+    throw e;
+  }
+}
+
+// ===== Format chain =====
+// processOne tries each format in turn until one download completes: the preferred
+// quality first, the other API sources next, the watch-page HTML last.
+const QUALITY_ORDER = {
+  hd: ['hd', 'sd', 'hls'],
+  sd: ['sd', 'hd', 'hls'],
+  hls: ['hls', 'hd', 'sd'],
+};
+
+async function probeContentLength(url) {
+  try {
+    const res = await fetch(url, {
+      method: 'HEAD',
+      credentials: 'same-origin',
+      headers: { 'Referer': 'https://www.redgifs.com/', 'Origin': 'https://www.redgifs.com' },
+      signal: AbortSignal.timeout(10_000)
+    });
+    const length = parseInt(res.headers.get('Content-Length'), 10);
+    return res.ok && Number.isFinite(length) ? length : 0;
+  } catch {
+    return 0;
+  }
+}
+
+async function buildFormatChain(sources, preferredQuality, kind = 'video') {
+  if (kind === 'image') {
+    return ['hd', 'sd']
+      .filter(f => sources[f])
+      .map(f => ({ format: f, kind: 'image', url: sources[f], ext: extensionFromUrl(sources[f], 'jpg') }));
+  }
+
+  let order = QUALITY_ORDER[preferredQuality] || QUALITY_ORDER.hd;
+  if (preferredQuality === 'largest') {
+    // Unknown sizes probe as 0 and keep their HD-before-SD order (sort is stable)
+    const mp4s = ['hd', 'sd'].filter(f => sources[f]);
+    const sizes = await Promise.all(mp4s.map(f => probeContentLength(sources[f])));
+    order = [...mp4s.map((f, i) => ({ f, size: sizes[i] })).sort((a, b) => b.size - a.size).map(x => x.f), 'hls'];
+  }
+  return order
+    .filter(f => sources[f])
+    .map(f => ({ format: f, kind: f === 'hls' ? 'hls' : 'mp4', url: sources[f] }));
+}
+
+async function watchPageFormats(videoId, apiError) {
+  let html;
+  try {
+    html = await fetchText(`https://www.redgifs.com/watch/${encodeURIComponent(videoId)}`);
+  } catch (e) {
+    throw failure('api', apiError ? `${apiError.message}; watch page: ${e.message}` : `watch page: ${e.message}`);
+  }
+  const { mp4, m3u8 } = extractMediaUrlsFromWatchHtml(html);
+  const formats = [];
+  if (mp4) formats.push({ format: 'page-mp4', kind: 'mp4', url: mp4 });
+  if (m3u8) formats.push({ format: 'page-hls', kind: 'hls', url: m3u8 });
+  if (!formats.length) throw failure('no-urls', 'No .mp4 or .m3u8 found');
+  return formats;
+}
+
+// part is the gallery item being saved, if any. Gallery downloads aren't tracked on
+// the queue item: one reattached download can't stand for the whole post, so a
+// restart mid-gallery re-queues it instead. Zip items go into the open archive.
+async function attemptFormat(item, entry, filename, settings, part = null) {
+  const videoId = part?.id || item.id;
+  if (item.zip) {
+    await zipAddFormat(videoId, entry, filename, settings);
+    if (part && entry.kind === 'hls') sendToOffscreen({ type: 'HLS_CACHE_CLEAR', videoId });
+    return { mode: entry.kind, format: entry.format };
+  }
+  let { downloadId, mode } = entry.kind === 'hls'
+    ? await downloadHls(videoId, entry.url, filename, settings)
+    : await downloadMp4Smart(entry.url, filename);
+  if (!part) await queueTrackDownload(item.id, downloadId, entry.kind, entry.format);
+  try {
+    try {
+      await waitForDownload(downloadId);
+    } catch (e) {
+      // A hotlink refusal (403) only surfaces once the browser download is interrupted
+      if (mode !== 'mp4-direct' || !/^SERVER_/.test(e.interruptReason || '')) throw e;
+      ({ downloadId } = await downloadMp4Fetched(entry.url, filename, e.message));
+      if (!part) await queueTrackDownload(item.id, downloadId, entry.kind, entry.format);
+      await waitForDownload(downloadId);
+    }
+  } catch (e) {
+    // Untrack so a restart mid-chain doesn't reattach to this failed download
+    if (!part) await queueTrackDownload(item.id, null, null, null);
+    throw e;
+  }
+  if (part && entry.kind === 'hls') sendToOffscreen({ type: 'HLS_CACHE_CLEAR', videoId });
+  return { mode: entry.kind, format: entry.format };
+}
+
+// Tries chain entries in order; an entry with expand() is replaced by the entries it
+// resolves to (the watch-page step). Returns the first saved download and its name.
+async function runFormatChain(item, chain, nameFor, settings, part = null) {
+  const tried = new Set();
+  const errors = [];
+  let lastError = null;
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    try {
+      if (entry.expand) {
+        chain.push(...(await entry.expand()).filter(f => !tried.has(f.url)));
+        continue;
+      }
+      tried.add(entry.url);
+      const filename = nameFor(entry);
+      const res = await attemptFormat(item, entry, filename, settings, part);
+      return { res, filename };
+    } catch (e) {
+      lastError = e;
+      errors.push(`${entry.format}: ${e?.message || e}`);
+    }
+  }
+
+  throw failure(lastError?.reason || (chain.length ? 'download' : 'no-urls'), errors.join('; ') || 'No downloadable source');
+}
+
+// ===== Sidecar files =====
+// Written next to the video through chrome.downloads with data: URLs (the service
+// worker has no object URLs). Without API metadata (watch-page fallback) the sidecar
+// still records the ID, source and format.
+function xmlEscape(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function buildSidecarJson(item, meta, format) {
+  return JSON.stringify({
+    ...(meta || { id: item.id, creator: item.creator || null }),
+    source: `https://www.redgifs.com/watch/${item.id}`,
+    format,
+    downloadedAt: new Date().toISOString(),
+  }, null, 2);
+}
+
+// Kodi-style movie .nfo
+function buildSidecarNfo(item, meta) {
+  const m = meta || { id: item.id, creator: item.creator || null, tags: [] };
+  const lines = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', '<movie>'];
+  const add = (tag, value) => {
+    if (value !== null && value !== undefined && value !== '') lines.push(`  <${tag}>${xmlEscape(value)}</${tag}>`);
+  };
+  add('title', m.id);
+  add('plot', m.description);
+  add('premiered', m.created ? m.created.slice(0, 10) : null);
+  add('runtime', Number.isFinite(m.duration) ? Math.max(1, Math.round(m.duration / 60)) : null);
+  add('studio', m.creator);
+  if (m.creator) lines.push(`  <actor><name>${xmlEscape(m.creator)}</name></actor>`);
+  for (const tag of m.tags || []) add('tag', tag);
+  lines.push(`  <uniqueid type="redgifs" default="true">${xmlEscape(m.id)}</uniqueid>`);
+  add('trailer', `https://www.redgifs.com/watch/${m.id}`);
+  lines.push('</movie>');
+  return lines.join('\n') + '\n';
+}
+
+async function writeSidecar(item, filename, mimeType, text) {
+  try {
+    if (item.zip) {
+      await zipRequest({ type: 'ZIP_ADD_TEXT', name: filename, text });
+      return;
+    }
+    const url = `data:${mimeType};charset=utf-8,${encodeURIComponent(text)}`;
+    await chrome.downloads.download({ url, filename, saveAs: false });
+  } catch (e) {
+    console.warn('[RedgifsBulk] sidecar failed:', filename, e);
+  }
+}
+
+function stripExtension(filename) {
+  return filename.replace(/\.[^./]+$/, '');
+}
+
+async function writeSidecars(item, meta, format, filename, settings) {
+  const base = stripExtension(filename);
+  if (settings.sidecarJson) await writeSidecar(item, `${base}.json`, 'application/json', buildSidecarJson(item, meta, format));
+  if (settings.sidecarNfo) await writeSidecar(item, `${base}.nfo`, 'text/xml', buildSidecarNfo(item, meta));
+}
+
+// ===== Poster / preview extras =====
+// Chosen per batch on the page and stored on each queue item. They are hotlink-
+// protected like the videos, so the fetch path (through the offscreen document) goes
+// first and a plain browser download is the fallback. Best effort: failures don't
+// fail the item.
+function extensionFromUrl(url, fallback) {
+  try {
+    const m = new URL(url).pathname.match(/\.([a-z0-9]{2,4})$/i);
+    return m ? m[1].toLowerCase() : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+async function downloadExtra(item, url, filename) {
+  if (item.zip) {
+    try {
+      await zipRequest({ type: 'ZIP_ADD_URL', name: filename, url });
+    } catch (e) {
+      console.warn('[RedgifsBulk] extra download failed:', filename, e);
+    }
+    return;
+  }
+  let fetched;
+  try { fetched = await downloadViaFetch(url, filename); }
+  catch (e) { fetched = { success: false, error: String(e?.message || e) }; }
+  if (fetched.success) return;
+  try {
+    await downloadDirect(url, filename);
+  } catch (e) {
+    console.warn('[RedgifsBulk] extra download failed:', filename, fetched.error, e);
+  }
+}
+
+async function saveExtras(item, urls, filename) {
+  if (!item.extras) return;
+  const base = stripExtension(filename);
+  const wanted = [
+    ['poster', `${base}-poster.${extensionFromUrl(urls?.poster, 'jpg')}`],
+    ['preview', `${base}-preview.mp4`],
+  ];
+  for (const [kind, name] of wanted) {
+    if (!item.extras[kind]) continue;
+    if (urls?.[kind]) await downloadExtra(item, urls[kind], name);
+    else console.warn(`[RedgifsBulk] no ${kind} URL for`, item.id);
+  }
+}
+
+// Resolves once the item's file is saved; rejects with the last attempt's reason and
+// every attempt's error.
+async function processOne(item, total, settings) {
+  let info = null;
+  let apiError = null;
+  try {
+    info = await fetchGifUrls(item.id);
+  } catch (e) {
+    apiError = e;
+    console.warn('[RedgifsBulk] API fetch failed, falling back to HTML:', e.message);
+  }
+  // Items queued from mixed feeds or embeds may not know their creator; memory wants one
+  if (!item.creator && info?.meta?.creator) item.creator = info.meta.creator;
+  if (info?.kind === 'gallery') return processGallery(item, total, settings, info);
+
+  const meta = info?.meta || null;
+  const chain = info ? await buildFormatChain(info.sources, settings.preferredQuality, info.kind) : [];
+  chain.push({ format: 'page', expand: () => watchPageFormats(item.id, apiError) });
+
+  const nameFor = (entry) => buildFilename(item.id, item.index, total, settings, {
+    meta: meta || { creator: item.creator || null },
+    quality: entry.format,
+    ext: entry.ext || 'mp4',
+  });
+  const { res, filename } = await runFormatChain(item, chain, nameFor, settings);
+  await writeSidecars(item, meta, res.format, filename, settings);
+  await saveExtras(item, info?.extras, filename);
+  return res;
+}
+
+// Every image/video of the post is saved (named with <gallery_index>), but the queue
+// item - and so the memory entry - stays the one post ID. Saved parts are recorded on
+// the item (galleryDone: part index -> filename) and carried into the failed list, so
+// a retry or a restart only fetches the parts still missing. Zip items don't record
+// them: a failed post is cut back out of the archive.
+async function processGallery(item, total, settings, info) {
+  let parts;
+  try {
+    parts = await fetchGalleryItems(info.galleryId);
+  } catch (e) {
+    throw failure('api', `gallery ${info.galleryId}: ${e.message}`);
+  }
+  if (!parts.length) throw failure('no-urls', `Gallery ${info.galleryId} has no items`);
+
+  const errors = [];
+  let lastError = null;
+  let firstFilename = null;
+  const done = item.zip ? {} : { ...item.galleryDone };
+  for (let i = 0; i < parts.length; i++) {
+    if (done[i]) {
+      firstFilename = firstFilename || done[i];
+      continue;
+    }
+    const part = parts[i];
+    const chain = await buildFormatChain(part.sources, settings.preferredQuality, part.kind);
+    const nameFor = (entry) => buildFilename(item.id, item.index, total, settings, {
+      meta: info.meta,
+      quality: entry.format,
+      ext: entry.ext || 'mp4',
+      gallery: { index: i + 1, total: parts.length },
+    });
+    try {
+      const { filename } = await runFormatChain(item, chain, nameFor, settings, part);
+      firstFilename = firstFilename || filename;
+      if (!item.zip) {
+        done[i] = filename;
+        item.galleryDone = done;
+        await queueTrackGalleryPart(item.id, done);
+      }
+    } catch (e) {
+      lastError = e;
+      errors.push(`#${i + 1}: ${e.message}`);
+    }
+  }
+
+  if (errors.length) {
+    throw failure(lastError.reason || 'download', `${errors.length} of ${parts.length} gallery items failed — ${errors.join('; ')}`);
+  }
+
+  const format = `gallery:${parts.length}`;
+  await writeSidecars(item, info.meta, format, firstFilename, settings);
+  await saveExtras(item, info.extras, firstFilename);
+  return { mode: 'gallery', format };
+}
+
+// ===== Download tracking =====
+// chrome.downloads.download resolves as soon as the browser accepts the request, so
+// the queue waits for onChanged to report 'complete' before anything is remembered.
+const downloadWaiters = new Map(); // downloadId -> { resolve, reject }
+
+function settleDownload(downloadId, state, error) {
+  const waiter = downloadWaiters.get(downloadId);
+  if (!waiter) return;
+  if (state === 'complete') {
+    downloadWaiters.delete(downloadId);
+    waiter.resolve();
+  } else if (state === 'interrupted') {
+    downloadWaiters.delete(downloadId);
+    const err = failure('download', `Download interrupted: ${error || 'unknown reason'}`);
+    err.interruptReason = error || null;
+    waiter.reject(err);
+  }
+}
+
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    downloadWaiters.set(downloadId, { resolve, reject });
+    // The download may already have settled before the waiter was registered
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (!item) {
+        downloadWaiters.delete(downloadId);
+        reject(failure('download', 'Download was removed before it finished'));
+        return;
+      }
+      settleDownload(downloadId, item.state, item.error);
+    }, reject);
+  });
+}
+
+// ===== Download queue =====
+// The queue lives here rather than in the content script so a batch survives tab
+// closes, SPA navigation and service-worker restarts. Content scripts enqueue IDs
+// and render progress from QUEUE_KEY via chrome.storage.onChanged.
+let queueMutex = Promise.resolve();
+function withQueueLock(fn) {
+  queueMutex = queueMutex.then(fn, fn);
+  return queueMutex;
+}
+
+function normalizeQueue(raw) {
+  const q = raw?.version === 1 ? raw : {};
+  return {
+    version: 1,
+    items: Array.isArray(q.items) ? q.items : [],
+    paused: q.paused === true,
+    batch: {
+      total: q.batch?.total || 0,
+      done: q.batch?.done || 0,
+      succeeded: q.batch?.succeeded || 0,
+    },
+    recent: Array.isArray(q.recent) ? q.recent : [],
+    failed: Array.isArray(q.failed) ? q.failed : [],
+    archive: q.archive || null, // see queueSaveArchive
+  };
+}
+
+async function loadQueue() {
+  const out = await chrome.storage.local.get(QUEUE_KEY);
+  return normalizeQueue(out[QUEUE_KEY]);
+}
+
+async function saveQueue(q) {
+  await chrome.storage.local.set({ [QUEUE_KEY]: q });
+}
+
+// Appends entries to q in place; callers hold the queue lock.
+function normalizeExtras(raw) {
+  const poster = raw?.poster === true;
+  const preview = raw?.preview === true;
+  return (poster || preview) ? { poster, preview } : null;
+}
+
+function addQueueItems(q, entries) {
+  // A new batch starts once the previous one has fully drained
+  if (!q.items.length) {
+    q.batch = { total: 0, done: 0, succeeded: 0 };
+    q.paused = false;
+  }
+
+  const queued = new Set(q.items.map(it => it.id));
+  let added = 0;
+  for (const entry of entries) {
+    const id = entry?.id;
+    if (!id || queued.has(id)) continue;
+    queued.add(id);
+    q.batch.total++;
+    q.items.push({
+      id,
+      creator: entry.creator || null,
+      extras: normalizeExtras(entry.extras),
+      zip: entry.zip === true,
+      ...(entry.galleryDone ? { galleryDone: entry.galleryDone } : {}),
+      index: q.batch.total,
+      status: 'pending',
+    });
+    added++;
+  }
+  return added;
+}
+
+// extras ({ poster, preview }) and zip apply to every entry of the batch
+async function queueEnqueue(entries, extras, zip) {
+  return withQueueLock(async () => {
+    if (!entries?.length) return { ok: false, error: 'missing ids' };
+    const q = await loadQueue();
+    const added = addQueueItems(q, (extras || zip) ? entries.map(e => ({ ...e, extras, zip: zip === true })) : entries);
+    if (added) await saveQueue(q);
+    return { ok: true, added, total: q.batch.total };
+  });
+}
+
+// Re-queues failed items (all of them, or only `ids`) and drops them from the report
+async function queueRetryFailed(ids) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const only = ids?.length ? new Set(ids) : null;
+    const retry = q.failed.filter(f => !only || only.has(f.id));
+    if (!retry.length) return { ok: true, added: 0 };
+    const added = addQueueItems(q, retry);
+    const retried = new Set(retry.map(f => f.id));
+    q.failed = q.failed.filter(f => !retried.has(f.id));
+    await saveQueue(q);
+    return { ok: true, added, total: q.batch.total };
+  });
+}
+
+async function queueClearFailed() {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    if (!q.failed.length) return { ok: true, removed: 0 };
+    const removed = q.failed.length;
+    q.failed = [];
+    await saveQueue(q);
+    return { ok: true, removed };
+  });
+}
+
+async function queueList() {
+  return withQueueLock(async () => ({ ok: true, queue: await loadQueue() }));
+}
+
+async function queueCancel(ids) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const only = ids?.length ? new Set(ids) : null;
+    const before = q.items.length;
+    // Active items are already downloading and finish on their own
+    q.items = q.items.filter(it => it.status !== 'pending' || (only && !only.has(it.id)));
+    const removed = before - q.items.length;
+    if (!removed) return { ok: true, removed: 0 };
+    q.batch.total = Math.max(q.batch.done, q.batch.total - removed);
+    if (!q.items.length) q.paused = false;
+    await saveQueue(q);
+    return { ok: true, removed };
+  });
+}
+
+async function queueReorder(ids) {
+  return withQueueLock(async () => {
+    if (!ids?.length) return { ok: false, error: 'missing ids' };
+    const q = await loadQueue();
+    // Listed pending IDs move to the front in the given order; the rest keep theirs
+    const byId = new Map(q.items.filter(it => it.status === 'pending').map(it => [it.id, it]));
+    const front = ids.map(id => byId.get(id)).filter(Boolean);
+    const moved = new Set(front);
+    const active = q.items.filter(it => it.status !== 'pending');
+    const rest = q.items.filter(it => it.status === 'pending' && !moved.has(it));
+    q.items = [...active, ...front, ...rest];
+    await saveQueue(q);
+    return { ok: true, moved: front.length };
+  });
+}
+
+// Pausing only stops new items from starting; active ones finish normally and the
+// pending ones keep their order, so a resume (even after a restart) picks up the next.
+async function queueSetPaused(paused) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    if (!q.items.length) return { ok: false, error: 'queue empty' };
+    if (q.paused !== paused) {
+      q.paused = paused;
+      await saveQueue(q);
+    }
+    return { ok: true, paused };
+  });
+}
+
+// Remembers the browser download backing an active item so a restarted service
+// worker can reattach to it instead of downloading the file a second time.
+async function queueTrackDownload(id, downloadId, mode, format) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const item = q.items.find(it => it.id === id);
+    if (!item) return;
+    item.downloadId = downloadId;
+    item.mode = mode;
+    item.format = format;
+    await saveQueue(q);
+  });
+}
+
+async function queueTrackGalleryPart(id, galleryDone) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const item = q.items.find(it => it.id === id);
+    if (!item) return;
+    item.galleryDone = { ...galleryDone };
+    await saveQueue(q);
+  });
+}
+
+async function queueTakeNext() {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    if (q.paused) return null;
+    const item = q.items.find(it => it.status === 'pending');
+    if (!item) return null;
+    item.status = 'active';
+    await saveQueue(q);
+    return { item: { ...item }, total: q.batch.total };
+  });
+}
+
+async function queueFinish(id, result) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const i = q.items.findIndex(it => it.id === id);
+    const item = i >= 0 ? q.items.splice(i, 1)[0] : { id, creator: null };
+    q.batch.done++;
+    if (result.ok) q.batch.succeeded++;
+    const at = Date.now();
+    q.recent.push({
+      id,
+      creator: item.creator,
+      ok: result.ok,
+      mode: result.mode || null,
+      format: result.format || null,
+      error: result.error || null,
+      at,
+    });
+    // The failed report keeps one entry per ID until it is retried, cleared or succeeds
+    q.failed = q.failed.filter(f => f.id !== id);
+    if (!result.ok) {
+      q.failed.push({
+        id,
+        creator: item.creator,
+        extras: item.extras || null,
+        zip: item.zip === true,
+        ...(item.galleryDone ? { galleryDone: item.galleryDone } : {}),
+        reason: result.reason || 'download',
+        error: result.error || null,
+        at,
+      });
+    }
+    if (q.recent.length > QUEUE_RECENT_LIMIT) q.recent.splice(0, q.recent.length - QUEUE_RECENT_LIMIT);
+    await saveQueue(q);
+    return q;
+  });
+}
+
+// Context-menu marks go into the results too, so open pages update as for a download
+async function queueRecordMarked(entries) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const at = Date.now();
+    for (const { id, creator } of entries) {
+      q.recent.push({ id, creator, ok: true, mode: 'marked', format: null, error: null, at });
+    }
+    if (q.recent.length > QUEUE_RECENT_LIMIT) q.recent.splice(0, q.recent.length - QUEUE_RECENT_LIMIT);
+    await saveQueue(q);
+  });
+}
+
+// After a service-worker restart only browser downloads can still be in flight:
+// items without one go back to pending, the rest are handed back for reattaching.
+// The offscreen document usually outlives the worker (an idle pause ends it), so the
+// open archive part is reattached when it is still there: its zipped items stay put
+// and an item caught mid-add is cut back to its mark. Otherwise they all went down
+// with the archive and are queued again.
+async function queueRecover() {
+  const stored = (await loadQueue()).archive;
+  let alive = null;
+  if (stored?.open) {
+    const resp = await sendToOffscreen({ type: 'ZIP_STATUS', archiveId: stored.open.id });
+    if (resp?.success) alive = { ...stored.open, bytes: resp.bytes };
+  }
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    let modified = false;
+    let archiveLost = false;
+    let rollback = null;
+    const tracked = [];
+    const inArchive = [];
+    for (const it of q.items) {
+      if (it.status !== 'active' && it.status !== 'zipped') continue;
+      if (Number.isInteger(it.downloadId)) {
+        tracked.push({ ...it });
+        continue;
+      }
+      if (it.zip && alive && it.status === 'zipped') {
+        inArchive.push({ id: it.id, creator: it.creator, mode: it.mode, format: it.format });
+        continue;
+      }
+      if (it.zip) {
+        if (!alive) archiveLost = true;
+        else if (it.zipMark) rollback = it.zipMark;
+        delete it.zipMark;
+      }
+      it.status = 'pending';
+      modified = true;
+    }
+    // Part numbering carries on unless the open part it belongs to is gone
+    const series = (alive || !stored?.open) ? (stored?.series || null) : null;
+    if (!alive && q.archive?.open) {
+      q.archive = null;
+      modified = true;
+    }
+    if (modified) await saveQueue(q);
+    const archive = alive ? { ...alive, items: inArchive } : null;
+    return { tracked, archiveLost, archive, series, rollback };
+  });
+}
+
+async function completeQueueItem(item, res, settings) {
+  if (settings.memoryMode === 'full') {
+    const mem = await memAddIdV3(item.id, item.creator);
+    if (!mem?.ok) console.warn('[RedgifsBulk] memAddIdV3 failed:', mem?.error);
+  }
+  // Segments stay cached after a failure so a retry resumes; drop them once saved
+  if (res.mode === 'hls') sendToOffscreen({ type: 'HLS_CACHE_CLEAR', videoId: item.id });
+  return queueFinish(item.id, { ok: true, mode: res.mode, format: res.format });
+}
+
+async function failQueueItem(item, e) {
+  console.warn('[RedgifsBulk] failed:', item.id, e);
+  return queueFinish(item.id, { ok: false, reason: e?.reason, error: String(e?.message || e) });
+}
+
+// Only the item that drains the queue sees it empty
+function notifyIfBatchDone(q, settings) {
+  if (q.items.length) return false;
+  const failedCount = q.batch.done - q.batch.succeeded;
+  notifyIfEnabled(settings, 'Redgifs Bulk Downloader',
+    `Downloaded ${q.batch.succeeded} of ${q.batch.total} video(s).` +
+    (failedCount > 0 ? ` ${failedCount} failed — see the failed list on the page.` : ''));
+  return true;
+}
+
+async function reattachQueueItem(item) {
+  let q;
+  const settings = await loadSettings();
+  try {
+    await waitForDownload(item.downloadId);
+    q = await completeQueueItem(item, { mode: item.mode || null, format: item.format || null }, settings);
+  } catch (e) {
+    q = await failQueueItem(item, e);
+  }
+  notifyIfBatchDone(q, settings);
+}
+
+// ===== ZIP batch mode =====
+// A batch queued with zip: true is written into an archive in the offscreen document
+// instead of one download per file. Zip items run one at a time under the archive
+// lock (entries are appended in order) and then wait in status 'zipped' until the part
+// holding them has been saved; only then are they completed and remembered. With
+// zipPartSizeMb set, a part is closed and saved as soon as it grows past that size.
+let archiveMutex = Promise.resolve();
+function withArchiveLock(fn) {
+  archiveMutex = archiveMutex.then(fn, fn);
+  return archiveMutex;
+}
+
+let zipArchive = null; // { id, part, bytes, items: [{ id, creator, mode, format }] }
+let zipSeries = null; // { base, part }: numbering continues across the parts of a batch
+
+function archiveBaseName(creator) {
+  const now = new Date();
+  const time = [now.getHours(), now.getMinutes(), now.getSeconds()].map(n => String(n).padStart(2, '0')).join('');
+  return `redgifs-${sanitizePathSegment(creator || '') || 'batch'}-${formatDate(now, 'YYYYMMDD')}-${time}`;
+}
+
+async function zipRequest(msg) {
+  const resp = await sendToOffscreen({ ...msg, archiveId: zipArchive.id });
+  if (!resp?.success) {
+    const err = resp?.error || 'ZIP write failed';
+    throw failure(/\bHTTP \d{3}\b/.test(err) ? 'http' : 'zip', err);
+  }
+  if (Number.isFinite(resp.bytes)) zipArchive.bytes = resp.bytes;
+  return resp;
+}
+
+async function zipAddFormat(videoId, entry, filename, settings) {
+  if (entry.kind !== 'hls') return zipRequest({ type: 'ZIP_ADD_URL', name: filename, url: entry.url });
+  return zipRequest({
+    type: 'ZIP_ADD_HLS',
+    name: filename,
+    videoId,
+    m3u8Url: entry.url,
+    remux: settings.hlsRemux,
+    faststart: settings.hlsRemux && settings.hlsFaststart,
+    variant: settings.hlsVariant,
+  });
+}
+
+// The open part and the series are kept with the queue so a worker restart (e.g. an
+// idle pause) can pick the archive up again; see queueRecover.
+async function queueSaveArchive() {
+  const state = zipSeries
+    ? { series: { ...zipSeries }, open: zipArchive ? { id: zipArchive.id, part: zipArchive.part } : null }
+    : null;
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    q.archive = state;
+    await saveQueue(q);
+  });
+}
+
+async function queueSetZipMark(id, mark) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const item = q.items.find(it => it.id === id);
+    if (!item) return;
+    item.zipMark = mark;
+    await saveQueue(q);
+  });
+}
+
+async function openArchive(item) {
+  if (zipArchive) return;
+  if (!zipSeries) zipSeries = { base: archiveBaseName(item.creator), part: 0 };
+  zipSeries.part++;
+  zipArchive = { id: `${Date.now().toString(36)}-${zipSeries.part}`, part: zipSeries.part, bytes: 0, items: [] };
+  try {
+    await zipRequest({ type: 'ZIP_OPEN' });
+  } catch (e) {
+    zipArchive = null;
+    throw e;
+  }
+  await queueSaveArchive();
+}
+
+async function queueMarkZipped(id, res) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const item = q.items.find(it => it.id === id);
+    if (!item) return;
+    item.status = 'zipped';
+    delete item.zipMark;
+    item.mode = res.mode;
+    item.format = res.format;
+    await saveQueue(q);
+  });
+}
+
+async function queueTrackArchive(ids, downloadId) {
+  return withQueueLock(async () => {
+    const q = await loadQueue();
+    const wanted = new Set(ids);
+    for (const it of q.items) if (wanted.has(it.id)) it.downloadId = downloadId;
+    await saveQueue(q);
+  });
+}
+
+// Saves the open part. The last part of a single-part batch carries no part number.
+async function closeArchivePart(settings, last) {
+  const archive = zipArchive;
+  zipArchive = null;
+  if (!archive.items.length) {
+    await sendToOffscreen({ type: 'ZIP_ABORT', archiveId: archive.id });
+  } else {
+    const numbered = !last || archive.part > 1;
+    const filename = `${zipSeries.base}${numbered ? `-part${archive.part}` : ''}.zip`;
+    try {
+      const resp = await sendToOffscreen({ type: 'ZIP_CLOSE', archiveId: archive.id });
+      if (!resp?.success) throw failure('zip', resp?.error || 'ZIP close failed');
+      let downloadId;
+      try {
+        downloadId = await chrome.downloads.download({ url: resp.url, filename, saveAs: false });
+      } catch (e) {
+        sendToOffscreen({ type: 'REVOKE_URL', url: resp.url });
+        throw e;
+      }
+      offscreenObjectUrls.set(downloadId, resp.url);
+      await queueTrackArchive(archive.items.map(it => it.id), downloadId);
+      settleArchivePart(archive.items, downloadId, settings);
+    } catch (e) {
+      for (const it of archive.items) await failQueueItem(it, e);
+    }
+  }
+  if (last) zipSeries = null;
+  await queueSaveArchive();
+}
+
+// One waiter per download: the part's items share it and settle together
+async function settleArchivePart(items, downloadId, settings) {
+  let error = null;
+  try {
+    await waitForDownload(downloadId);
+  } catch (e) {
+    error = e;
+  }
+  let q = null;
+  for (const it of items) {
+    q = error ? await failQueueItem(it, error) : await completeQueueItem(it, it, settings);
+  }
+  if (q) notifyIfBatchDone(q, settings);
+}
+
+// The open part is the last one once no zip item is left to add. The series also ends
+// when a full part was just closed, so the next batch starts over without a part number.
+async function finalizeArchiveIfDrained(settings) {
+  if (!zipArchive && !zipSeries) return;
+  const q = await loadQueue();
+  if (q.items.some(it => it.zip && (it.status === 'pending' || it.status === 'active'))) return;
+  if (zipArchive) {
+    await closeArchivePart(settings, true);
+  } else {
+    zipSeries = null;
+    await queueSaveArchive();
+  }
+}
+
+async function processZipItem(item, total, settings) {
+  return withArchiveLock(async () => {
+    let ok = false;
+    let q = null;
+    let mark = null;
+    try {
+      await openArchive(item);
+      ({ mark } = await zipRequest({ type: 'ZIP_MARK' }));
+      await queueSetZipMark(item.id, mark);
+      const res = await processOne(item, total, settings);
+      await queueMarkZipped(item.id, res);
+      zipArchive.items.push({ id: item.id, creator: item.creator, mode: res.mode, format: res.format });
+      ok = true;
+      const partBytes = settings.zipPartSizeMb * 1024 * 1024;
+      if (partBytes && zipArchive.bytes >= partBytes) await closeArchivePart(settings, false);
+    } catch (e) {
+      // Gallery parts or sidecars already added would come back as duplicates on retry
+      if (mark && !ok && zipArchive) {
+        try {
+          await zipRequest({ type: 'ZIP_ROLLBACK', mark });
+        } catch (err) {
+          console.warn('[RedgifsBulk] ZIP rollback failed:', item.id, err);
+        }
+      }
+      q = await failQueueItem(item, e);
+    }
+    await finalizeArchiveIfDrained(settings);
+    return { ok, q };
+  });
+}
+
+// Worker pool: up to settings.downloadConcurrency slots pull from the same queue.
+// Each slot applies randomDelayMs pacing between its own items. Lowering the setting
+// mid-batch makes surplus slots leave before taking their next item.
+let queueSlots = 0;
+
+async function runQueue() {
+  const settings = await loadSettings();
+  while (queueSlots < settings.downloadConcurrency) {
+    queueSlots++;
+    runQueueSlot().catch(e => console.warn('[RedgifsBulk] queue slot crashed:', e));
+  }
+}
+
+// For callers that don't wait on the queue (message router, menus, settings changes)
+function startQueue() {
+  runQueue().catch(e => console.warn('[RedgifsBulk] queue start failed:', e));
+}
+
+// Raising the setting mid-batch adds slots right away
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[SETTINGS_KEY]) return;
+  const before = changes[SETTINGS_KEY].oldValue?.downloadConcurrency || 1;
+  const after = changes[SETTINGS_KEY].newValue?.downloadConcurrency || 1;
+  if (after > before) startQueue();
+});
+
+async function runQueueSlot() {
+  // The count drops as the slot returns, not a tick later, so slots that check the
+  // setting together don't all leave
+  try {
+    for (;;) {
+      if (queueSlots > (await loadSettings()).downloadConcurrency) return;
+      const next = await queueTakeNext();
+      if (!next) return;
+      const { item, total } = next;
+      const settings = await loadSettings();
+
+      let ok = false;
+      let q = null;
+      if (item.zip) {
+        ({ ok, q } = await processZipItem(item, total, settings));
+      } else {
+        try {
+          const res = await processOne(item, total, settings);
+          ok = true;
+          q = await completeQueueItem(item, res, settings);
+        } catch (e) {
+          q = await failQueueItem(item, e);
+        }
+      }
+
+      if (q && notifyIfBatchDone(q, settings)) return;
+      await sleep(ok ? randomDelayMs(settings) : 500);
+    }
+  } finally {
+    queueSlots--;
+  }
+}
+
+// Resume an interrupted batch once migration has settled
+memMutex.then(() => queueRecover())
+  .then(async ({ tracked, archiveLost, archive, series, rollback }) => {
+    if (archiveLost) sendToOffscreen({ type: 'ZIP_ABORT' });
+    zipSeries = series;
+    if (archive) {
+      const settings = await loadSettings();
+      await withArchiveLock(async () => {
+        zipArchive = { id: archive.id, part: archive.part, bytes: archive.bytes, items: archive.items };
+        if (rollback) {
+          try {
+            await zipRequest({ type: 'ZIP_ROLLBACK', mark: rollback });
+          } catch (e) {
+            console.warn('[RedgifsBulk] ZIP rollback failed:', e);
+          }
+        }
+        // The batch may have drained (or been cancelled) while the worker was down
+        await finalizeArchiveIfDrained(settings);
+      });
+    }
+    const parts = new Map(); // downloadId -> zipped items saved in that archive part
+    for (const item of tracked) {
+      if (item.status !== 'zipped') {
+        reattachQueueItem(item);
+        continue;
+      }
+      if (!parts.has(item.downloadId)) parts.set(item.downloadId, []);
+      parts.get(item.downloadId).push(item);
+    }
+    if (parts.size) {
+      loadSettings().then(settings => {
+        for (const [downloadId, items] of parts) settleArchivePart(items, downloadId, settings);
+      });
+    }
+    return runQueue();
+  })
+  .catch(e => console.warn('[RedgifsBulk] queue resume failed:', e));
+
+// ===== Toolbar badge =====
+// Items left in the batch (gray while paused); '!' once a batch ends with failures.
+// flashBadge shows a menu action's outcome for a moment, which is the only feedback
+// with notifications off.
+const BADGE_FLASH_MS = 2500;
+let badgeFlashTimer = null;
+
+function flashBadge(text, color) {
+  clearTimeout(badgeFlashTimer);
+  chrome.action.setBadgeText({ text });
+  chrome.action.setBadgeBackgroundColor({ color });
+  badgeFlashTimer = setTimeout(() => {
+    badgeFlashTimer = null;
+    loadQueue().then(updateBadge).catch(e => console.warn('[RedgifsBulk] badge update failed:', e));
+  }, BADGE_FLASH_MS);
+}
+
+function updateBadge(q) {
+  const remaining = q.items.length;
+  const text = remaining ? (remaining > 999 ? '999+' : String(remaining)) : (q.failed.length ? '!' : '');
+  chrome.action.setBadgeText({ text });
+  chrome.action.setBadgeBackgroundColor({ color: !remaining ? '#c0392b' : (q.paused ? '#7f8c8d' : '#2980b9') });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[QUEUE_KEY] && !badgeFlashTimer) updateBadge(normalizeQueue(changes[QUEUE_KEY].newValue));
+});
+loadQueue().then(updateBadge).catch(e => console.warn('[RedgifsBulk] badge update failed:', e));
+
+// ===== Other sites (opt-in content script) =====
+// external.js runs only on the hosts listed in Options, and only once the user has
+// granted that host's optional permission; the registration follows both.
+const EXTERNAL_SCRIPT_ID = 'rg-external-sites';
+
+function externalSiteOrigins(host) {
+  return [`https://${host}/*`, `https://*.${host}/*`];
+}
+
+let externalSync = Promise.resolve();
+function syncExternalScript() {
+  externalSync = externalSync.then(async () => {
+    const { externalSites } = await loadSettings();
+    const matches = [];
+    for (const host of externalSites) {
+      const origins = externalSiteOrigins(host);
+      if (await chrome.permissions.contains({ origins })) matches.push(...origins);
+    }
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [EXTERNAL_SCRIPT_ID] });
+    if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: [EXTERNAL_SCRIPT_ID] });
+    if (!matches.length) return;
+    await chrome.scripting.registerContentScripts([{
+      id: EXTERNAL_SCRIPT_ID,
+      matches,
+      js: ['external.js'],
+      runAt: 'document_idle',
+      persistAcrossSessions: true,
+    }]);
+  }).catch(e => console.warn('[RedgifsBulk] external script registration failed:', e));
+  return externalSync;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[SETTINGS_KEY]) return;
+  const before = JSON.stringify(changes[SETTINGS_KEY].oldValue?.externalSites || []);
+  const after = JSON.stringify(changes[SETTINGS_KEY].newValue?.externalSites || []);
+  if (before !== after) syncExternalScript();
+});
+chrome.permissions.onAdded.addListener(() => syncExternalScript());
+chrome.permissions.onRemoved.addListener(() => syncExternalScript());
+syncExternalScript();
+
+// ===== Context menus =====
+// On Redgifs links (any site), tiles on redgifs.com and selected text. Every ID found
+// in the target goes through the normal queue, or straight into memory.
+const MENU_PARENT_ID = 'rg-menu';
+const MENU_ACTIONS = [
+  ['rg-menu-download', 'Download with Redgifs Bulk Downloader'],
+  ['rg-menu-queue', 'Add to queue'],
+  ['rg-menu-mark', 'Mark as downloaded'],
+];
+const REDGIFS_LINK_PATTERNS = ['*://*.redgifs.com/watch/*', '*://*.redgifs.com/ifr/*'];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: MENU_PARENT_ID, title: 'Redgifs Bulk Downloader', contexts: ['link', 'selection'], targetUrlPatterns: REDGIFS_LINK_PATTERNS });
+    // Tiles are bare <video>s; their media URL carries the ID
+    chrome.contextMenus.create({ id: `${MENU_PARENT_ID}-media`, title: 'Redgifs Bulk Downloader', contexts: ['video', 'image'], documentUrlPatterns: ['*://*.redgifs.com/*'] });
+    for (const parentId of [MENU_PARENT_ID, `${MENU_PARENT_ID}-media`]) {
+      for (const [id, title] of MENU_ACTIONS) {
+        chrome.contextMenus.create({ id: `${id}:${parentId}`, parentId, title, contexts: ['all'] });
+      }
+    }
+  });
+});
+
+// watch/embed and i.redgifs.com image URLs, and media URLs whose file name is the
+// CamelCase ID (media.redgifs.com/GrandioseWhiteGoose-mobile.mp4)
+const REDGIFS_ID_URL_PATTERNS = [
+  /redgifs\.com\/(?:watch|ifr)\/([a-z0-9]+)/i,
+  /i\.redgifs\.com\/i\/([a-z0-9]+)/i,
+  /(?:media|thumbs\d*)\.redgifs\.com\/([a-z]+)(?:-[\w-]+)?\.[a-z0-9]+/i,
+];
+
+function redgifsIdFromUrl(url) {
+  for (const re of REDGIFS_ID_URL_PATTERNS) {
+    const m = url.match(re);
+    if (m) return m[1].toLowerCase();
+  }
+  return null;
+}
+
+function splitIdTokens(text) {
+  return (text || '').split(/[\s,;"'<>()[\]]+/).filter(Boolean);
+}
+
+// Video IDs are run-together words ("grandiosewhitegoose"): letters only
+const BARE_ID_RE = /^[a-z]{6,}$/i;
+
+// For menus: every URL in the text, or the text itself when it is one lone word
+function redgifsIdsFromText(text) {
+  const ids = new Set(splitIdTokens(text).map(redgifsIdFromUrl).filter(Boolean));
+  const word = (text || '').trim();
+  if (!ids.size && BARE_ID_RE.test(word)) ids.add(word.toLowerCase());
+  return [...ids];
+}
+
+// For pasted lists: URLs anywhere, and bare IDs only on lines made of nothing but IDs,
+// so pasted chat text doesn't queue its ordinary words. Lines that yield no ID at all
+// are counted as invalid.
+function parseIdList(text) {
+  const ids = new Set();
+  let invalid = 0;
+  for (const line of (text || '').split('\n')) {
+    const tokens = splitIdTokens(line);
+    if (!tokens.length) continue;
+    const fromUrls = tokens.map(redgifsIdFromUrl);
+    const isList = tokens.every((t, i) => fromUrls[i] || BARE_ID_RE.test(t));
+    const found = isList
+      ? tokens.map((t, i) => fromUrls[i] || t.toLowerCase())
+      : fromUrls.filter(Boolean);
+    for (const id of found) ids.add(id);
+    if (!found.length) invalid++;
+  }
+  return { ids: [...ids], invalid };
+}
+
+// Open pages learn about the marked IDs from the queue's results, like downloads
+async function markIdsDownloaded(ids) {
+  let added = 0;
+  const marked = [];
+  for (const id of ids) {
+    let creator = null;
+    try { creator = (await fetchGifUrls(id)).meta.creator; } catch {}
+    const resp = await memAddIdV3(id, creator);
+    if (resp?.added) added++;
+    if (resp?.ok) marked.push({ id, creator });
+  }
+  if (marked.length) await queueRecordMarked(marked);
+  return added;
+}
+
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  const action = String(info.menuItemId).split(':')[0];
+  const ids = redgifsIdsFromText([info.linkUrl, info.srcUrl, info.selectionText].filter(Boolean).join(' '));
+  const settings = await loadSettings();
+  if (!ids.length) {
+    flashBadge('?', '#c0392b');
+    notifyIfEnabled(settings, 'Redgifs Bulk Downloader', 'No Redgifs video found there.');
+    return;
+  }
+  try {
+    if (action === 'rg-menu-mark') {
+      // Session and none modes keep nothing in storage
+      if (settings.memoryMode !== 'full') {
+        flashBadge('off', '#c0392b');
+        notifyIfEnabled(settings, 'Redgifs Bulk Downloader', 'Nothing marked: memory is not set to Full in Options.');
+        return;
+      }
+      const added = await markIdsDownloaded(ids);
+      flashBadge('✓', '#27ae60');
+      notifyIfEnabled(settings, 'Redgifs Bulk Downloader', `Marked ${added} of ${ids.length} as downloaded.`);
+      return;
+    }
+    const resp = await queueEnqueue(ids.map(id => ({ id, creator: null })));
+    // Download jumps the queue; Add to queue waits its turn
+    if (action === 'rg-menu-download') await queueReorder(ids);
+    startQueue();
+    // Gray while paused, like the count it returns to
+    const { paused } = await loadQueue();
+    flashBadge(`+${resp.added}`, paused ? '#7f8c8d' : '#27ae60');
+    notifyIfEnabled(settings, 'Redgifs Bulk Downloader',
+      `Queued ${resp.added} video(s).${paused ? ' The queue is paused — resume it from the toolbar button.' : ''}`);
+  } catch (e) {
+    console.warn('[RedgifsBulk] context menu action failed:', e);
+  }
+});
+
+// ===== Downloads cleanup + outcome tracking =====
 chrome.downloads.onChanged.addListener((delta) => {
   if (!delta?.id) return;
 
   if (delta.state && (delta.state.current === 'complete' || delta.state.current === 'interrupted')) {
-    const url = activeObjectUrls.get(delta.id);
-    if (url) {
-      activeObjectUrls.delete(delta.id);
-      try { URL.revokeObjectURL(url); } catch {}
+    settleDownload(delta.id, delta.state.current, delta.error?.current);
+
+    const offscreenUrl = offscreenObjectUrls.get(delta.id);
+    if (offscreenUrl) {
+      offscreenObjectUrls.delete(delta.id);
+      sendToOffscreen({ type: 'REVOKE_URL', url: offscreenUrl });
     }
   }
 });
@@ -287,42 +1851,81 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // Existing download paths
       if (msg?.type === 'DOWNLOAD_DIRECT') {
         const { url, filename } = msg;
-        const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
-        sendResponse({ success: true, downloadId });
+        sendResponse(await downloadDirect(url, filename));
         return;
       }
 
       if (msg?.type === 'DOWNLOAD_FETCH') {
         const { url, filename } = msg;
+        sendResponse(await downloadViaFetch(url, filename));
+        return;
+      }
 
-        const res = await fetch(url, {
-          method: 'GET',
-          // S1: 'same-origin' prevents sending cookies to redirect targets on other domains.
-          credentials: 'same-origin',
-          // S2: Referer and Origin are required because Redgifs' CDN enforces hotlink
-          // protection — requests without a matching Referer are rejected with 403.
-          // These headers make the request appear as first-party page traffic, which is
-          // intentional for this use-case (user-initiated download from the Redgifs tab).
-          headers: {
-            'Referer': 'https://www.redgifs.com/',
-            'Origin': 'https://www.redgifs.com',
-            'Accept': '*/*'
-          },
-          signal: AbortSignal.timeout(30_000) // Q5: prevent indefinitely-hanging fetches
-        });
+      if (msg?.type === 'QUEUE_ENQUEUE') {
+        const resp = await queueEnqueue(msg.items, msg.extras, msg.zip === true);
+        startQueue();
+        sendResponse(resp);
+        return;
+      }
 
-        if (!res.ok) {
-          sendResponse({ success: false, error: `FETCH_HTTP_${res.status}` });
-          return;
-        }
+      if (msg?.type === 'QUEUE_LIST') {
+        const resp = await queueList();
+        sendResponse(resp);
+        return;
+      }
+
+      if (msg?.type === 'QUEUE_CANCEL') {
+        const resp = await queueCancel(msg.ids);
+        // What's already in the open archive is still saved
+        const settings = await loadSettings();
+        withArchiveLock(() => finalizeArchiveIfDrained(settings));
+        sendResponse(resp);
+        return;
+      }
+
+      if (msg?.type === 'QUEUE_PAUSE') {
+        const resp = await queueSetPaused(true);
+        sendResponse(resp);
+        return;
+      }
+
+      if (msg?.type === 'QUEUE_RESUME') {
+        const resp = await queueSetPaused(false);
+        startQueue();
+        sendResponse(resp);
+        return;
+      }
+
+      if (msg?.type === 'QUEUE_RETRY_FAILED') {
+        const resp = await queueRetryFailed(msg.ids);
+        startQueue();
+        sendResponse(resp);
+        return;
+      }
 
-        const blob = await res.blob();
-        const objectUrl = URL.createObjectURL(blob);
+      if (msg?.type === 'QUEUE_CLEAR_FAILED') {
+        const resp = await queueClearFailed();
+        sendResponse(resp);
+        return;
+      }
+
+      if (msg?.type === 'QUEUE_REORDER') {
+        const resp = await queueReorder(msg.ids);
+        sendResponse(resp);
+        return;
+      }
 
-        const downloadId = await chrome.downloads.download({ url: objectUrl, filename, saveAs: false });
-        activeObjectUrls.set(downloadId, objectUrl);
+      if (msg?.type === 'GIFS_META') {
+        if (!msg.ids?.length) { sendResponse({ ok: false, error: 'missing ids' }); return; }
+        const meta = await fetchGifsMetadata(msg.ids);
+        sendResponse({ ok: true, meta });
+        return;
+      }
 
-        sendResponse({ success: true, downloadId, fetched: true });
+      if (msg?.type === 'CREATOR_POSTS') {
+        if (!msg.username) { sendResponse({ ok: false, error: 'missing username' }); return; }
+        const posts = await fetchCreatorPosts(msg.username, Number.isFinite(msg.since) ? msg.since : null);
+        sendResponse({ ok: true, posts });
         return;
       }
 
@@ -344,12 +1947,33 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      if (msg?.type === 'IMPORT_PREVIEW') {
+        const { ids, invalid } = parseIdList(msg.text);
+        const settings = await loadSettings();
+        const mem = settings.memoryMode === 'full' ? await memFindDownloadedV3(ids) : { downloaded: [] };
+        sendResponse({ ok: true, ids, invalid, downloaded: mem.downloaded });
+        return;
+      }
+
+      if (msg?.type === 'MEM_FIND_DOWNLOADED') {
+        const settings = await loadSettings();
+        const resp = settings.memoryMode === 'full' ? await memFindDownloadedV3(msg.ids) : { ok: true, downloaded: [] };
+        sendResponse(resp);
+        return;
+      }
+
       if (msg?.type === 'MEM_GET_COUNT') {
         const resp = await memGetCountV3();
         sendResponse(resp);
         return;
       }
 
+      if (msg?.type === 'PREVIEW_FILENAME') {
+        const filename = buildFilename('abc123', 1, 12, { filenameFormat: msg.format }, { meta: FILENAME_PREVIEW_META, quality: 'hd' });
+        sendResponse({ ok: true, filename });
+        return;
+      }
+
       if (msg?.type === 'MEM_CLEAR') {
         const resp = await memClearAllV3();
         sendResponse(resp);
@@ -9,16 +9,21 @@
   const CREATOR_CONTENT_SELECTOR = '.creatorContent';
   const CREATOR_VISITS_KEY = 'rg_creator_visits';
 
-  const SEGMENT_RETRIES = 4;
-  const SEGMENT_BACKOFF_MS = 250;
-
   const DL_V3_INDEX_KEY      = 'downloadedIds_v3_index';
   const DL_V3_CREATOR_PREFIX = 'downloadedIds_v3_creator_';
   const DL_V3_ORPHAN_PREFIX  = 'downloadedIds_v3_orphan_';
   const SETTINGS_KEY = 'rg_settings_v1';
   const FAV_TAGS_KEY = 'rg_fav_tags_v1';
-
-  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  const QUEUE_KEY = 'rg_queue_v1';
+
+  const FAILURE_LABELS = {
+    api: 'API error',
+    http: 'HTTP error',
+    worker: 'Worker error',
+    'no-urls': 'No URLs',
+    download: 'Download error',
+    zip: 'ZIP error',
+  };
 
   function isEmbedMode() {
     return location.pathname.startsWith('/ifr/');
@@ -34,81 +39,11 @@
   }
 
   function getSelectedFeedIds() {
-    return [...document.querySelectorAll(`input.${CHECKBOX_CLASS}:checked`)]
-      .map(cb => cb.dataset.feedItemId)
-      .filter(Boolean);
+    return [...selectedIds].filter(id => !isDownloaded(id));
   }
 
   function uncheckTileById(feedId) {
-    const cb = document.querySelector(`input.${CHECKBOX_CLASS}[data-feed-item-id="${CSS.escape(feedId)}"]`);
-    if (cb) cb.checked = false;
-  }
-
-  async function fetchText(url) {
-    const res = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(30_000) });
-    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-    return await res.text();
-  }
-
-  function extractMediaUrlsFromWatchHtml(html) {
-    // TODO (S4): Replace with JSON parse of the page's embedded state object (e.g. window.__STORE__)
-    // for more reliable extraction. Regex may match unintended .mp4/.m3u8 URLs from ads or comments.
-    const mp4 = (html.match(/https?:\/\/[^"'\\\s]+\.mp4[^"'\\\s]*/i) || [null])[0];
-    const m3u8 = (html.match(/https?:\/\/[^"'\\\s]+\.m3u8[^"'\\\s]*/i) || [null])[0];
-    return { mp4, m3u8 };
-  }
-
-  function downloadBlobAsMp4(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.rel = 'noopener';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 30_000);
-  }
-
-  async function fetchArrayBuffer(url, byteRange) {
-    const headers = new Headers();
-    if (byteRange && Number.isFinite(byteRange.offset) && Number.isFinite(byteRange.length)) {
-      const start = byteRange.offset;
-      const end = start + byteRange.length - 1;
-      headers.set('Range', `bytes=${start}-${end}`);
-    }
-
-    const res = await fetch(url, { method: 'GET', headers, credentials: 'include', mode: 'cors', signal: AbortSignal.timeout(30_000) });
-    if (!res.ok) throw new Error(`HTTP ${res.status} fetching segment`);
-    return await res.arrayBuffer();
-  }
-
-  async function fetchArrayBufferWithRetry(url, byteRange) {
-    let lastErr = null;
-    for (let attempt = 0; attempt <= SEGMENT_RETRIES; attempt++) {
-      try {
-        return await fetchArrayBuffer(url, byteRange);
-      } catch (e) {
-        lastErr = e;
-        if (attempt === SEGMENT_RETRIES) break;
-        await sleep(SEGMENT_BACKOFF_MS * Math.pow(2, attempt));
-      }
-    }
-    throw new Error(lastErr?.message || String(lastErr) || 'Segment fetch failed');
-  }
-
-  let cachedToken = null;
-  let cachedTokenExpiry = 0;
-
-  function randomDelayMs() {
-    const ranges = {
-      fast:   [100, 300],
-      normal: [400, 900],
-      slow:   [1000, 2000],
-      custom: [settings.downloadDelayMin, settings.downloadDelayMax],
-    };
-    const [min, max] = ranges[settings.downloadSpeed] || ranges.normal;
-    return min + Math.floor(Math.random() * (max - min + 1));
+    setTileSelected(feedId, false);
   }
 
   function formatDate(date, fmt) {
@@ -124,50 +59,6 @@
     return formatDate(d, 'YYYY-MM-DD');
   }
 
-  function buildFilename(videoId, index, total) {
-    let result = settings.filenameFormat || '<id>';
-    const now = new Date();
-    result = result.replace(/<date\(([^)]+)\)>/g, (_, fmt) => formatDate(now, fmt));
-    result = result.replace(/<date>/g, formatDate(now, 'YYYYMMDD'));
-    const pad = Math.max(String(total || 1).length, 2);
-    result = result.replace(/<index>/g, String(index).padStart(pad, '0'));
-    result = result.replace(/<id>/g, videoId);
-    result = result.replace(/[\\/:*?"<>|]/g, '_').trim() || videoId;
-    return result + '.mp4';
-  }
-
-  async function getApiToken() {
-    if (cachedToken && Date.now() < cachedTokenExpiry) return cachedToken;
-    const res = await fetch('https://api.redgifs.com/v2/auth/temporary', {
-      signal: AbortSignal.timeout(30_000)
-    });
-    if (!res.ok) throw new Error(`Token fetch failed: HTTP ${res.status}`);
-    const data = await res.json();
-    cachedToken = data.token;
-    cachedTokenExpiry = Date.now() + 20 * 60 * 60 * 1000;
-    return cachedToken;
-  }
-
-  async function fetchGifUrls(videoId) {
-    try {
-      const token = await getApiToken();
-      const res = await fetch(
-        `https://api.redgifs.com/v2/gifs/${encodeURIComponent(videoId)}`,
-        { headers: { Authorization: `Bearer ${token}` }, signal: AbortSignal.timeout(30_000) }
-      );
-      if (!res.ok) throw new Error(`API error: HTTP ${res.status}`);
-      const data = await res.json();
-      const mp4  = data.gif?.urls?.hd  || null;
-      const m3u8 = data.gif?.urls?.hls || null;
-      if (mp4 || m3u8) return { mp4, m3u8 };
-      throw new Error('No URLs in API response');
-    } catch (e) {
-      console.warn('[RedgifsBulk] API fetch failed, falling back to HTML:', e.message);
-      const html = await fetchText(`https://www.redgifs.com/watch/${encodeURIComponent(videoId)}`);
-      return extractMediaUrlsFromWatchHtml(html);
-    }
-  }
-
   // ===== Settings =====
   let settings = {
     dimGrayscale: 100,
@@ -191,15 +82,22 @@
   let ui = null;
   let bannerStateText = null;
   let running = false;
-  let cancelRequested = false;
+  let queueState = null;
   let embedRedownloadConfirm = false;
   let sessionDimOverride = false;
-  const runProgress = { current: 0, total: 0 };
+  const runProgress = { current: 0, total: 0, active: 0, paused: false };
+  const batchExtras = { poster: false, preview: false };
+  let batchZip = false;
+  const selectedIds = new Set();
+  let lastClickedId = null;
   let statusTimer;
   let scanDebounceTimer = null;
   let tilesSettled = false;
   let tileSettleTimer = null;
   let lastCreatorVisit = null;
+  // Tiles that were new when first drawn; recordSeenIds marks them seen right after
+  const newTileIds = new Set();
+  let newViaApi = true;
 
   // ===== Favorite tags =====
   let favTags = new Set();
@@ -259,69 +157,80 @@
     return !downloadedIds.has(id) && !seenOnlyIds.has(id);
   }
 
+  // A creator's collections hold other creators' videos, so they don't count
   function creatorFromUrl() {
     if (!location.pathname.startsWith('/users/')) return null;
-    const username = location.pathname.split('/')[2];
+    const [, , username, section] = location.pathname.split('/');
+    if (section === 'collections') return null;
     return username || null;
   }
 
-  function requestMemAdd(id, creator) {
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'MEM_ADD_ID', id, creator: creator || undefined }, (resp) => {
-        void chrome.runtime.lastError;
-        resolve(resp);
-      });
-    });
+  // Pages with a tile feed: creators (and their collections), niches, tag search,
+  // browse and search results
+  const FEED_PATH_RE = /^\/(users|niches|gifs|browse|search)(\/|$)/;
+
+  function isFeedPage() {
+    return FEED_PATH_RE.test(location.pathname);
   }
 
-  async function markDownloaded(id) {
-    if (settings.memoryMode === 'none') return;
-    if (!id || downloadedIds.has(id)) return;
-    downloadedIds.add(id);
-    if (settings.memoryMode === 'full') {
-      const creator = creatorFromUrl();
-      const resp = await requestMemAdd(id, creator);
-      if (!resp?.ok) {
-        console.warn('[RedgifsBulk] MEM_ADD_ID failed:', resp?.error);
-        downloadedIds.delete(id);
-      }
+  // On mixed feeds each tile links its creator's profile; creator pages fall back to the URL
+  const tileCreators = new Map(); // id -> username
+
+  function noteTileCreator(tile, id) {
+    if (!id || tileCreators.has(id)) return;
+    const href = tile.querySelector('a[href*="/users/"]')?.getAttribute('href') || '';
+    const m = href.match(/\/users\/([^/?#]+)/);
+    if (m) tileCreators.set(id, decodeURIComponent(m[1]));
+  }
+
+  function creatorForId(id) {
+    return tileCreators.get(id) || creatorFromUrl();
+  }
+
+  // Memory is keyed by creator; IDs whose creator isn't known yet are left out
+  function groupByCreator(ids) {
+    const groups = new Map();
+    for (const id of ids) {
+      const creator = creatorForId(id);
+      if (!creator) continue;
+      if (!groups.has(creator)) groups.set(creator, []);
+      groups.get(creator).push(id);
     }
-    // 'session': in-memory only, no storage write
+    return groups;
+  }
+
+  // The background writes storage in 'full' mode; this only keeps the local
+  // read-side set in step (and is the whole record in 'session' mode).
+  function rememberDownloaded(id) {
+    if (settings.memoryMode === 'none' || !id) return;
+    downloadedIds.add(id);
+    seenOnlyIds.delete(id);
   }
 
   function recordSeenIds(tileIds) {
     if (settings.memoryMode !== 'full') return;
-    const creator = creatorFromUrl();
-    if (!creator) return;
     const toReport = tileIds.filter(id => !sessionReportedSeenIds.has(id) && !downloadedIds.has(id));
-    if (!toReport.length) return;
-    for (const id of toReport) {
-      sessionReportedSeenIds.add(id);
-      seenOnlyIds.add(id);
+    for (const [creator, ids] of groupByCreator(toReport)) {
+      for (const id of ids) {
+        sessionReportedSeenIds.add(id);
+        seenOnlyIds.add(id);
+      }
+      chrome.runtime.sendMessage({ type: 'MEM_RECORD_SEEN', ids, creator }, () => {
+        void chrome.runtime.lastError;
+      });
     }
-    chrome.runtime.sendMessage({ type: 'MEM_RECORD_SEEN', ids: toReport, creator }, () => {
-      void chrome.runtime.lastError;
-    });
   }
 
   function deorphanSeenIds(tileIds) {
     if (settings.memoryMode !== 'full' || !orphanedIds.size) return;
-    const creator = creatorFromUrl();
-    if (!creator) return;
 
     const toDeorphan = tileIds.filter(id => orphanedIds.has(id));
-    if (!toDeorphan.length) return;
-
-    for (const id of toDeorphan) orphanedIds.delete(id);
-
-    chrome.runtime.sendMessage({ type: 'MEM_DEORPHAN', ids: toDeorphan, creator }, () => {
-      void chrome.runtime.lastError;
-    });
-  }
-
-  function notifyIfEnabled(title, message) {
-    if (!settings.notifications) return;
-    chrome.runtime.sendMessage({ type: 'NOTIFY', title, message });
+    for (const [creator, ids] of groupByCreator(toDeorphan)) {
+      for (const id of ids) orphanedIds.delete(id);
+      chrome.runtime.sendMessage({ type: 'MEM_DEORPHAN', ids, creator }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
   }
 
   // ===== Settings =====
@@ -356,6 +265,7 @@
     const filter = `grayscale(${dimGrayscale/100}) brightness(${dimBrightness/100}) contrast(${dimContrast/100})`;
     const css = `.rg-downloaded { filter: ${filter}; opacity: ${dimOpacity/100}; }
 .rg-hidden { display: none !important; }
+.rg-filtered { display: none !important; }
 .rg-fav-tag { outline: 2px solid #f1c40f !important; background: rgba(241,196,15,0.15) !important; }`;
 
     if (existing) { existing.textContent = css; return; }
@@ -379,20 +289,39 @@
     }, ms);
   }
 
+  function isQueuedId(id) {
+    return (queueState?.items || []).some(it => it.id === id);
+  }
+
+  function queueProgressText() {
+    if (runProgress.paused && !runProgress.active) return `Paused at ${runProgress.current} / ${runProgress.total}`;
+    if (runProgress.total > 0) {
+      const parallel = runProgress.active > 1 ? ` · ${runProgress.active} at once` : '';
+      return `Downloading ${runProgress.current} / ${runProgress.total}${parallel}`;
+    }
+    return 'Downloading…';
+  }
+
+  // The queue is shared with other tabs, the popup and the context menu, so Download
+  // keeps adding to it while it runs; Pause and Cancel sit beside it
   function updateSelectionCount() {
     if (!ui?.btn) return;
 
-    if (running && runProgress.total > 0) {
-      ui.btn.textContent = `Downloading ${runProgress.current} / ${runProgress.total} (Click to cancel)`;
-      return;
+    if (ui.pauseBtn) {
+      ui.pauseBtn.style.display = running ? 'block' : 'none';
+      ui.pauseBtn.textContent = runProgress.paused
+        ? (runProgress.active ? 'Pausing…' : 'Resume')
+        : 'Pause';
     }
+    if (ui.cancelBtn) ui.cancelBtn.style.display = running ? 'block' : 'none';
 
     if (isEmbedMode()) {
-      if (running) {
-        ui.btn.textContent = 'Downloading… (Click to cancel)';
+      const id = getSingleIdFromUrl();
+      if (isQueuedId(id)) {
+        ui.btn.textContent = 'Downloading…';
       } else if (embedRedownloadConfirm) {
         ui.btn.textContent = 'Download again?';
-      } else if (isDownloaded(getSingleIdFromUrl())) {
+      } else if (isDownloaded(id)) {
         ui.btn.textContent = 'Downloaded';
       } else {
         ui.btn.textContent = 'Download';
@@ -400,10 +329,12 @@
       return;
     }
 
-    const count = document.querySelectorAll(`input.${CHECKBOX_CLASS}:checked`).length;
-    ui.btn.textContent = running
-      ? 'Downloading… (Click to cancel)'
-      : (count > 0 ? `Download (${count})` : 'Download');
+    const count = getSelectedFeedIds().length;
+    if (count > 0) {
+      ui.btn.textContent = `Download (${count})`;
+    } else {
+      ui.btn.textContent = running ? queueProgressText() : 'Download';
+    }
   }
 
   function setButtonRunning(isRunning) {
@@ -415,6 +346,7 @@
 
   function applyNewIndicator(tile, id) {
     if (!isNew(id)) return;
+    newTileIds.add(id);
     if (tile.querySelector(':scope > .rg-new-indicator')) return;
     const cs = getComputedStyle(tile);
     if (cs.position === 'static') tile.style.position = 'relative';
@@ -471,6 +403,7 @@
     if (!feedId) return;
     if (isDownloaded(feedId)) {
       tile.querySelector(':scope > .rg-new-indicator')?.remove();
+      tile.classList.remove('rg-filtered');
       if (!sessionDimOverride) {
         tile.classList.add('rg-hidden');
         tile.classList.remove('rg-downloaded');
@@ -485,6 +418,7 @@
     } else {
       tile.classList.remove('rg-downloaded');
       tile.classList.remove('rg-hidden');
+      applyTileFilter(tile, feedId);
     }
   }
 
@@ -500,7 +434,13 @@
       return false;
     }
 
-    if (tile.querySelector(`:scope > .tileItem-checkboxWrap`)) return false;
+    const existing = tile.querySelector(`:scope > .tileItem-checkboxWrap input.${CHECKBOX_CLASS}`);
+    if (existing) {
+      // A recycled tile keeps its checkbox; point it at the new ID
+      existing.dataset.feedItemId = feedId;
+      existing.checked = selectedIds.has(feedId);
+      return false;
+    }
 
     const cs = getComputedStyle(tile);
     if (cs.position === 'static') tile.style.position = 'relative';
@@ -533,13 +473,132 @@
     });
 
     cb.dataset.feedItemId = feedId;
-    cb.addEventListener('change', updateSelectionCount);
+    cb.checked = selectedIds.has(feedId);
+    cb.addEventListener('click', onTileCheckboxClick);
 
     label.appendChild(cb);
     tile.appendChild(label);
     return true;
   }
 
+  // ===== Tile selection =====
+  // selectedIds is the source of truth and the checkboxes mirror it, so a selection
+  // survives the feed unmounting tiles or recycling them for other IDs.
+  function setTileSelected(id, selected) {
+    if (selected) selectedIds.add(id);
+    else selectedIds.delete(id);
+    const cb = document.querySelector(`input.${CHECKBOX_CLASS}[data-feed-item-id="${CSS.escape(id)}"]`);
+    if (cb) cb.checked = selected;
+  }
+
+  // IDs with a checkbox on the page, in feed order (tiles hidden by the filter excluded)
+  function renderedSelectableIds() {
+    return [...document.querySelectorAll(`input.${CHECKBOX_CLASS}`)]
+      .filter(cb => !cb.closest('.rg-filtered'))
+      .map(cb => cb.dataset.feedItemId)
+      .filter(Boolean);
+  }
+
+  // Shift-click applies the clicked box's new state to every tile since the last click
+  function onTileCheckboxClick(e) {
+    const cb = e.currentTarget;
+    const id = cb.dataset.feedItemId;
+    if (e.shiftKey && lastClickedId && lastClickedId !== id) {
+      const ids = renderedSelectableIds();
+      const a = ids.indexOf(lastClickedId);
+      const b = ids.indexOf(id);
+      if (a >= 0 && b >= 0) {
+        for (const rangeId of ids.slice(Math.min(a, b), Math.max(a, b) + 1)) setTileSelected(rangeId, cb.checked);
+      }
+    }
+    setTileSelected(id, cb.checked);
+    lastClickedId = id;
+    updateSelectionCount();
+  }
+
+  // 'all', 'invert' and 'new' act on the rendered tiles; 'none' also drops the
+  // selection of tiles scrolled out of the page.
+  function selectTiles(mode) {
+    if (mode === 'none' || mode === 'new') {
+      for (const id of [...selectedIds]) setTileSelected(id, false);
+    }
+    if (mode !== 'none') {
+      for (const id of renderedSelectableIds()) {
+        const selected = mode === 'all' ? true : mode === 'invert' ? !selectedIds.has(id) : newTileIds.has(id);
+        setTileSelected(id, selected);
+      }
+    }
+    updateSelectionCount();
+  }
+
+  // Alt-drag draws a rectangle and selects every tile it touches (with Ctrl/Cmd held
+  // as well, it deselects them). Coordinates are page-relative so scrolling mid-drag works.
+  function startRubberBand(e) {
+    if (e.button !== 0 || !e.altKey) return;
+    if (e.target.closest?.(`#${UI_ID}, #${BANNER_ID}`)) return;
+    e.preventDefault();
+
+    const start = { x: e.pageX, y: e.pageY };
+    let rect = null;
+    const box = document.createElement('div');
+    Object.assign(box.style, {
+      position: 'absolute',
+      left: `${start.x}px`,
+      top: `${start.y}px`,
+      width: '0',
+      height: '0',
+      border: `1px dashed ${settings.newIndicatorColor}`,
+      background: 'rgba(255,255,255,0.12)',
+      zIndex: '2147483646',
+      pointerEvents: 'none',
+    });
+    document.body.appendChild(box);
+
+    const onMove = (ev) => {
+      rect = {
+        left: Math.min(start.x, ev.pageX),
+        top: Math.min(start.y, ev.pageY),
+        right: Math.max(start.x, ev.pageX),
+        bottom: Math.max(start.y, ev.pageY),
+      };
+      Object.assign(box.style, {
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.right - rect.left}px`,
+        height: `${rect.bottom - rect.top}px`,
+      });
+    };
+
+    const onUp = (ev) => {
+      document.removeEventListener('mousemove', onMove, true);
+      document.removeEventListener('mouseup', onUp, true);
+      box.remove();
+      if (!rect) return;
+
+      // The click that ends the drag must not open the tile under the pointer
+      const swallow = (ce) => { ce.preventDefault(); ce.stopPropagation(); };
+      window.addEventListener('click', swallow, true);
+      setTimeout(() => window.removeEventListener('click', swallow, true), 0);
+
+      const selected = !(ev.ctrlKey || ev.metaKey);
+      for (const cb of document.querySelectorAll(`input.${CHECKBOX_CLASS}`)) {
+        if (cb.closest('.rg-filtered')) continue;
+        // Hidden tiles report an empty rect at the viewport origin
+        const r = cb.closest(TILE_SELECTOR)?.getBoundingClientRect();
+        if (!r || !r.width || !r.height) continue;
+        const left = r.left + window.scrollX;
+        const top = r.top + window.scrollY;
+        if (left < rect.right && left + r.width > rect.left && top < rect.bottom && top + r.height > rect.top) {
+          setTileSelected(cb.dataset.feedItemId, selected);
+        }
+      }
+      updateSelectionCount();
+    };
+
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('mouseup', onUp, true);
+  }
+
   function updateBannerStateText() {
     if (!bannerStateText) return;
     if (!sessionDimOverride) {
@@ -563,114 +622,144 @@
     root.querySelectorAll(TILE_SELECTOR).forEach(tile => {
       const id = tile.getAttribute('data-feed-item-id');
       if (id) seenIds.push(id);
+      noteTileCreator(tile, id);
       applyDownloadedState(tile, id);
       if (id && !isDownloaded(id)) {
         if (injectCheckbox(tile)) injectedAny = true;
       }
-      if (location.pathname.startsWith('/users/')) applyNewIndicator(tile, id);
+      if (creatorFromUrl()) applyNewIndicator(tile, id);
     });
     if (injectedAny) updateSelectionCount();
     updateBannerStateText();
     applyFavTagHighlights(root);
-    if (location.pathname.startsWith('/users/')) {
+    // New markers compare against the creator's last visit, and seen IDs are only
+    // recorded there, so mixed feeds don't pre-mark other creators' uploads as seen
+    if (creatorFromUrl()) {
       deorphanSeenIds(seenIds);
       recordSeenIds(seenIds);
     }
   }
 
-  // ===== Downloads =====
-  function requestDirectDownload(url, filename) {
+  // ===== Download queue (owned by background.js) =====
+  function requestQueueEnqueue(items, zip = false) {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'DOWNLOAD_DIRECT', url, filename }, (resp) => {
+      chrome.runtime.sendMessage({ type: 'QUEUE_ENQUEUE', items, extras: batchExtras, zip }, (resp) => {
         void chrome.runtime.lastError;
         resolve(resp);
       });
     });
   }
 
-  function requestFetchDownload(url, filename) {
+  function requestQueueCancel() {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'DOWNLOAD_FETCH', url, filename }, (resp) => {
+      chrome.runtime.sendMessage({ type: 'QUEUE_CANCEL' }, (resp) => {
         void chrome.runtime.lastError;
         resolve(resp);
       });
     });
   }
 
-  async function downloadMp4Smart(mp4Url, filename) {
-    const direct = await requestDirectDownload(mp4Url, filename);
-    if (direct?.success) return { mode: 'mp4-direct' };
-
-    const fetched = await requestFetchDownload(mp4Url, filename);
-    if (fetched?.success) return { mode: 'mp4-fetch' };
-
-    const err = direct?.error || fetched?.error || 'download failed';
-    throw new Error(err);
+  function requestQueuePause(paused) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: paused ? 'QUEUE_PAUSE' : 'QUEUE_RESUME' }, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
   }
 
-  async function assembleMp4FromM3u8(videoId, m3u8Url) {
-    const manifestText = await fetchText(m3u8Url);
-
-    const workerUrl = chrome.runtime.getURL('mp4worker.js');
-    const worker = new Worker(workerUrl, { type: 'module' });
+  function requestQueueRetryFailed() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'QUEUE_RETRY_FAILED' }, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
+  }
 
-    const cleanup = () => { try { worker.terminate(); } catch {} };
-    const parts = [];
+  function requestQueueClearFailed() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'QUEUE_CLEAR_FAILED' }, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
+  }
 
-    return await new Promise((resolve, reject) => {
-      worker.onmessage = async (ev) => {
-        const msg = ev.data;
+  function requestQueueList() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'QUEUE_LIST' }, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
+  }
 
-        if (msg?.type === 'FETCH') {
-          const { reqId, url, byteRange } = msg;
-          try {
-            const buf = await fetchArrayBufferWithRetry(url, byteRange || null);
-            worker.postMessage({ type: 'FETCH_RESULT', reqId, ok: true, buffer: buf }, [buf]);
-          } catch (e) {
-            worker.postMessage({ type: 'FETCH_RESULT', reqId, ok: false, error: String(e?.message || e) });
-          }
-          return;
-        }
+  function refreshTilesForId(id) {
+    document.querySelectorAll(`${TILE_SELECTOR}[data-feed-item-id="${CSS.escape(id)}"]`)
+      .forEach(tile => applyDownloadedState(tile, id));
+  }
 
-        if (msg?.type === 'CHUNK' && msg.videoId === videoId) {
-          parts.push(msg.buffer);
-          return;
-        }
+  function handleQueueResult(entry) {
+    if (entry.ok) {
+      rememberDownloaded(entry.id);
+      uncheckTileById(entry.id);
+      refreshTilesForId(entry.id);
+      updateBannerStateText();
+    } else {
+      showStatus(`Failed: ${entry.id}`, 2500);
+    }
+  }
 
-        if (msg?.type === 'DONE' && msg.videoId === videoId) {
-          try { resolve(new Blob(parts, { type: 'video/mp4' })); } finally { cleanup(); }
-          return;
-        }
+  function applyQueueState(q) {
+    const prev = queueState;
+    queueState = q || null;
 
-        if (msg?.type === 'ERROR' && msg.videoId === videoId) {
-          try { reject(new Error(msg.error || 'Worker error')); } finally { cleanup(); }
-        }
-      };
+    // Only react to items finished since the last update, not to the stored history
+    if (prev && queueState) {
+      const known = new Set((prev.recent || []).map(r => `${r.id}:${r.at}`));
+      for (const entry of queueState.recent || []) {
+        if (!known.has(`${entry.id}:${entry.at}`)) handleQueueResult(entry);
+      }
+    }
 
-      worker.onerror = (e) => { cleanup(); reject(new Error(e.message || 'Worker crashed')); };
-      worker.postMessage({ type: 'START', videoId, m3u8Url, manifestText });
-    });
+    const items = queueState?.items || [];
+    const batch = queueState?.batch;
+    const active = items.filter(it => it.status === 'active').length;
+    runProgress.total = items.length ? (batch?.total || 0) : 0;
+    runProgress.active = active;
+    runProgress.paused = queueState?.paused === true;
+    // Count in-flight items so several parallel slots still read as "n of total";
+    // a settled pause shows only what has finished
+    const inFlight = runProgress.paused ? active : Math.max(active, 1);
+    runProgress.current = items.length ? Math.min((batch?.done || 0) + inFlight, runProgress.total) : 0;
+    setButtonRunning(items.length > 0);
+    renderFailedReport();
   }
 
-  async function processOne(videoId, index, total) {
-    const { mp4, m3u8 } = await fetchGifUrls(videoId);
-    const filename = buildFilename(videoId, index, total);
-
-    if (mp4) {
-      await downloadMp4Smart(mp4, filename);
-      return { mode: 'mp4' };
+  // Shown once the batch has drained so the list doesn't churn mid-run
+  function renderFailedReport() {
+    if (!ui?.failedBtn) return;
+    const failed = queueState?.failed || [];
+    const visible = failed.length > 0 && !running;
+    ui.failedBtn.style.display = visible ? 'block' : 'none';
+    ui.failedBtn.textContent = `Failed (${failed.length})`;
+    if (!visible) {
+      ui.failedPanel.style.display = 'none';
+      return;
     }
 
-    if (m3u8) {
-      const mp4blob = await assembleMp4FromM3u8(videoId, m3u8);
-      downloadBlobAsMp4(mp4blob, filename);
-      return { mode: 'hls' };
+    ui.failedList.replaceChildren();
+    for (const f of failed) {
+      const row = document.createElement('div');
+      const label = FAILURE_LABELS[f.reason] || f.reason;
+      row.textContent = `${f.id} — ${label}${f.error ? `: ${f.error}` : ''}`;
+      Object.assign(row.style, { padding: '2px 0', wordBreak: 'break-all' });
+      ui.failedList.appendChild(row);
     }
-
-    throw new Error('No .mp4 or .m3u8 found');
   }
 
-  async function runQueueSequential(ids) {
+  async function enqueueSelection(ids) {
     const queue = ids.filter(id => !isDownloaded(id));
     const skipped = ids.length - queue.length;
 
@@ -682,83 +771,330 @@
     }
 
     if (skipped > 0) {
-      showStatus(`Skipping ${skipped} already downloaded.`, 2200);
       for (const id of ids) {
         if (isDownloaded(id)) {
           uncheckTileById(id);
           // B3: also apply downloaded state immediately so tiles don't wait for next scroll/scan
-          document.querySelectorAll(`${TILE_SELECTOR}[data-feed-item-id="${CSS.escape(id)}"]`)
-            .forEach(tile => applyDownloadedState(tile, id));
+          refreshTilesForId(id);
         }
       }
       updateSelectionCount();
       updateBannerStateText();
-      await sleep(300);
     }
 
-    runProgress.total = queue.length;
-    let successCount = 0;
+    // Unknown creators are filled in from the API when the item is downloaded
+    const resp = await requestQueueEnqueue(queue.map(id => ({ id, creator: creatorForId(id) })), batchZip);
+    if (!resp?.ok) {
+      showStatus(`Could not queue downloads: ${resp?.error || 'no response'}`, 2600);
+      return;
+    }
+    const parts = [`Queued ${resp.added}.`];
+    if (resp.added < queue.length) parts.push(`${queue.length - resp.added} already queued.`);
+    if (skipped > 0) parts.push(`Skipping ${skipped} already downloaded.`);
+    showStatus(parts.join(' '), 2200);
+  }
 
-    for (let i = 0; i < queue.length; i++) {
-      if (cancelRequested) { showStatus('Canceled.', 2500); return; }
+  async function enqueueSingleFromEmbed() {
+    const id = getSingleIdFromUrl();
+    if (!id) return showStatus('Could not determine video id', 2200);
 
-      const id = queue[i];
-      runProgress.current = i + 1;
-      updateSelectionCount();
+    const resp = await requestQueueEnqueue([{ id, creator: creatorFromUrl() }]);
+    if (!resp?.ok) showStatus(`Download failed: ${resp?.error || 'no response'}`, 2600);
+  }
 
-      try {
-        // B1: Mark downloaded optimistically before starting so a navigation/refresh
-        // mid-download doesn't cause a re-download next session. Roll back the local
-        // in-memory set on failure so the item stays retryable this session.
-        await markDownloaded(id);
-
-        try {
-          await processOne(id, i + 1, queue.length);
-        } catch (e) {
-          downloadedIds.delete(id); // roll back local set; storage entry stays (acceptable)
-          throw e;
-        }
+  // ===== Tile filter =====
+  // Rules are checked against API metadata fetched in batches for the rendered tiles.
+  // A rule never excludes a tile on a value it doesn't know yet (metadata still loading,
+  // images without a duration, IDs the API returned nothing for). 'hide' mode hides
+  // non-matching tiles with .rg-filtered, alongside the .rg-hidden of downloaded ones;
+  // 'select' mode ticks matching tiles once.
+  const TILE_META_DEBOUNCE_MS = 150;
+  const tileFilter = {
+    minDuration: null,
+    maxDuration: null,
+    orientation: 'any',
+    audio: 'any',
+    requireTags: [],
+    excludeTags: [],
+    mode: 'hide',
+  };
+  const tileMeta = new Map(); // id -> metadata, or null while the request is in flight
+  const tileMetaQueue = new Set();
+  const filterSelectedIds = new Set();
+  let tileMetaTimer = null;
 
-        successCount++;
-        uncheckTileById(id);
-        document.querySelectorAll(`${TILE_SELECTOR}[data-feed-item-id="${CSS.escape(id)}"]`)
-          .forEach(tile => applyDownloadedState(tile, id));
-        updateBannerStateText();
+  function requestGifsMeta(ids) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'GIFS_META', ids }, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
+  }
 
-        await sleep(randomDelayMs());
-      } catch (e) {
-        console.warn('[RedgifsBulk] failed:', id, e);
-        showStatus(`(${i + 1}/${queue.length}) Failed: ${id}`, 2500);
-        await sleep(500);
+  function isFilterActive() {
+    const f = tileFilter;
+    return f.minDuration !== null || f.maxDuration !== null || f.orientation !== 'any' || f.audio !== 'any'
+      || f.requireTags.length > 0 || f.excludeTags.length > 0;
+  }
+
+  function tileMatchesFilter(meta) {
+    const f = tileFilter;
+    if (Number.isFinite(meta.duration)) {
+      if (f.minDuration !== null && meta.duration < f.minDuration) return false;
+      if (f.maxDuration !== null && meta.duration > f.maxDuration) return false;
+    }
+    if (f.orientation !== 'any' && Number.isFinite(meta.width) && Number.isFinite(meta.height)) {
+      if ((f.orientation === 'portrait') !== (meta.height > meta.width)) return false;
+    }
+    if (f.audio !== 'any' && typeof meta.hasAudio === 'boolean' && (f.audio === 'yes') !== meta.hasAudio) return false;
+    if (Array.isArray(meta.tags)) {
+      const tags = new Set(meta.tags.map(t => String(t).toLowerCase()));
+      if (f.requireTags.some(t => !tags.has(t))) return false;
+      if (f.excludeTags.some(t => tags.has(t))) return false;
+    }
+    return true;
+  }
+
+  async function flushTileMeta() {
+    const ids = [...tileMetaQueue];
+    tileMetaQueue.clear();
+    if (!ids.length) return;
+    for (const id of ids) tileMeta.set(id, null);
+    const resp = await requestGifsMeta(ids);
+    if (!resp?.ok) {
+      console.warn('[RedgifsBulk] tile metadata failed:', resp?.error);
+      // Forgotten so the next scan asks again
+      for (const id of ids) tileMeta.delete(id);
+      return;
+    }
+    for (const id of ids) tileMeta.set(id, resp.meta[id] || {});
+    refilterTiles(new Set(ids));
+  }
+
+  // Called for every non-downloaded tile from applyDownloadedState
+  function applyTileFilter(tile, id) {
+    if (!isFilterActive()) {
+      tile.classList.remove('rg-filtered');
+      return;
+    }
+    const meta = tileMeta.get(id);
+    if (!meta) {
+      tile.classList.remove('rg-filtered');
+      if (!tileMeta.has(id)) {
+        tileMetaQueue.add(id);
+        clearTimeout(tileMetaTimer);
+        tileMetaTimer = setTimeout(flushTileMeta, TILE_META_DEBOUNCE_MS);
       }
+      return;
+    }
+    const matches = tileMatchesFilter(meta);
+    if (tileFilter.mode === 'hide') {
+      tile.classList.toggle('rg-filtered', !matches);
+      return;
+    }
+    tile.classList.remove('rg-filtered');
+    // Once per rule change, so unticking a tile by hand sticks
+    if (matches && !filterSelectedIds.has(id)) {
+      filterSelectedIds.add(id);
+      setTileSelected(id, true);
+      updateSelectionCount();
+    }
+  }
+
+  function refilterTiles(onlyIds = null) {
+    document.querySelectorAll(TILE_SELECTOR).forEach(tile => {
+      const id = tile.getAttribute('data-feed-item-id');
+      if (id && (!onlyIds || onlyIds.has(id))) applyDownloadedState(tile, id);
+    });
+  }
+
+  function parseTagList(text) {
+    return text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+  }
+
+  function buildFilterBar() {
+    const bar = document.createElement('div');
+    Object.assign(bar.style, { display: 'none', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'center', gap: '8px' });
+
+    const fieldStyle = {
+      fontSize: '12px',
+      padding: '2px 4px',
+      borderRadius: '4px',
+      border: '1px solid rgba(255,255,255,0.3)',
+      background: 'rgba(0,0,0,0.4)',
+      color: '#fff',
+    };
+    const field = (tag, props, width) => {
+      const el = document.createElement(tag);
+      Object.assign(el, props);
+      Object.assign(el.style, fieldStyle, width ? { width } : {});
+      return el;
+    };
+    const select = (options) => {
+      const el = field('select', {});
+      for (const [value, label] of options) el.appendChild(new Option(label, value));
+      return el;
+    };
+    const group = (label, ...els) => {
+      const g = document.createElement('label');
+      Object.assign(g.style, { display: 'inline-flex', alignItems: 'center', gap: '4px' });
+      g.appendChild(document.createTextNode(label));
+      for (const el of els) g.appendChild(el);
+      bar.appendChild(g);
+    };
+
+    const minDur = field('input', { type: 'number', min: '0', placeholder: 'min' }, '52px');
+    const maxDur = field('input', { type: 'number', min: '0', placeholder: 'max' }, '52px');
+    const orientation = select([['any', 'Any'], ['portrait', 'Portrait'], ['landscape', 'Landscape']]);
+    const audio = select([['any', 'Any'], ['yes', 'With audio'], ['no', 'Silent']]);
+    const requireTags = field('input', { type: 'text', placeholder: 'must have, …' }, '110px');
+    const excludeTags = field('input', { type: 'text', placeholder: 'exclude, …' }, '110px');
+    const mode = select([['hide', 'Hide others'], ['select', 'Select matching']]);
+
+    group('Duration (s):', minDur, document.createTextNode('–'), maxDur);
+    group('Shape:', orientation);
+    group('Audio:', audio);
+    group('Tags:', requireTags, excludeTags);
+    group('', mode);
+
+    const num = (el) => {
+      const n = parseFloat(el.value);
+      return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    const apply = () => {
+      tileFilter.minDuration = num(minDur);
+      tileFilter.maxDuration = num(maxDur);
+      tileFilter.orientation = orientation.value;
+      tileFilter.audio = audio.value;
+      tileFilter.requireTags = parseTagList(requireTags.value);
+      tileFilter.excludeTags = parseTagList(excludeTags.value);
+      tileFilter.mode = mode.value;
+      filterSelectedIds.clear();
+      refilterTiles();
+    };
+    for (const el of [minDur, maxDur, orientation, audio, requireTags, excludeTags, mode]) {
+      el.addEventListener('change', apply);
     }
 
-    notifyIfEnabled('Redgifs Bulk Downloader', `Downloaded ${successCount} of ${queue.length} video(s).`);
+    const clear = field('button', { type: 'button', textContent: 'Clear' });
+    clear.style.cursor = 'pointer';
+    clear.addEventListener('click', () => {
+      for (const el of [minDur, maxDur, requireTags, excludeTags]) el.value = '';
+      orientation.value = 'any';
+      audio.value = 'any';
+      mode.value = 'hide';
+      apply();
+    });
+    bar.appendChild(clear);
+    return bar;
   }
 
-  async function runSingleDownloadFromEmbed() {
-    const id = getSingleIdFromUrl();
-    if (!id) return showStatus('Could not determine video id', 2200);
+  // ===== Banner batch actions =====
+  // The API lists a creator's whole upload history, not just the tiles rendered so far
+  // With since (ms) only uploads newer than that are listed
+  function requestCreatorPosts(username, since = null) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'CREATOR_POSTS', username, since }, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
+  }
+
+  async function collectAllFromCreator() {
+    const creator = creatorFromUrl();
+    const resp = await requestCreatorPosts(creator);
+    if (!resp?.ok) throw new Error(resp?.error || 'no response');
+    const all = resp.posts.map(p => p.id);
+    const ids = all.filter(id => !isDownloaded(id));
+    const skipped = all.length - ids.length;
+    return {
+      ids,
+      prompt: `Queue ${ids.length} of ${all.length}${skipped ? ` (${skipped} already downloaded)` : ''}?`,
+      empty: all.length ? `All ${all.length} already downloaded.` : 'No uploads found.',
+    };
+  }
 
-    runProgress.total = 1;
-    runProgress.current = 0; // B2: start at 0; set to 1 after completion
+  // Rendered tiles that were new, plus (via the API) uploads dated after the last visit
+  // that haven't been scrolled into view yet
+  async function collectNewSinceVisit() {
+    const since = formatVisitDate(lastCreatorVisit);
+    const ids = [];
+    if (newViaApi) {
+      const visitedAt = new Date(lastCreatorVisit).getTime();
+      const resp = await requestCreatorPosts(creatorFromUrl(), visitedAt);
+      if (resp?.ok) {
+        for (const p of resp.posts) if (p.created && p.created > visitedAt) ids.push(p.id);
+      } else {
+        console.warn('[RedgifsBulk] creator listing failed, using rendered tiles:', resp?.error);
+      }
+    }
+    for (const id of newTileIds) if (!ids.includes(id)) ids.push(id);
+
+    const wanted = ids.filter(id => !isDownloaded(id));
+    for (const id of wanted) setTileSelected(id, true);
     updateSelectionCount();
+    return { ids: wanted, prompt: `${wanted.length} new since ${since}.`, empty: `Nothing new since ${since}.` };
+  }
 
-    try {
-      await markDownloaded(id); // B1: optimistic mark before download
+  // First click counts (collect() resolves { ids, prompt, empty }), second click queues;
+  // the button falls back to its label if the second click doesn't come.
+  const BATCH_CONFIRM_MS = 10000;
+
+  function makeBatchButton(label, collect) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    Object.assign(b.style, {
+      padding: '4px 10px',
+      fontSize: '12px',
+      borderRadius: '8px',
+      border: '1px solid rgba(255,255,255,0.35)',
+      background: 'rgba(255,255,255,0.08)',
+      color: '#fff',
+      cursor: 'pointer',
+    });
+
+    let armed = null;
+    let resetTimer = null;
+    const reset = () => {
+      clearTimeout(resetTimer);
+      armed = null;
+      b.disabled = false;
+      b.textContent = label;
+    };
+
+    b.addEventListener('click', async () => {
+      if (armed) {
+        const ids = armed;
+        reset();
+        const resp = await requestQueueEnqueue(ids.map(id => ({ id, creator: creatorForId(id) })), batchZip);
+        if (!resp?.ok) return showStatus(`Could not queue downloads: ${resp?.error || 'no response'}`, 2600);
+        showStatus(`Queued ${resp.added}.${resp.added < ids.length ? ` ${ids.length - resp.added} already queued.` : ''}`, 2200);
+        return;
+      }
+
+      b.disabled = true;
+      b.textContent = 'Counting…';
+      let result;
       try {
-        await processOne(id, 1, 1);
-        runProgress.current = 1; // B2: reflect completion
-        notifyIfEnabled('Redgifs Bulk Downloader', 'Download complete.');
-        await sleep(randomDelayMs());
+        result = await collect();
       } catch (e) {
-        downloadedIds.delete(id); // B1: roll back local set on failure
-        throw e;
+        console.warn('[RedgifsBulk] batch listing failed:', e);
+        reset();
+        return showStatus(`Could not list videos: ${e.message}`, 2600);
       }
-    } catch (e) {
-      console.warn('[RedgifsEmbed] failed:', e);
-      showStatus(`Download failed: ${String(e?.message || e)}`, 2600);
-    }
+      if (!result.ids.length) {
+        reset();
+        return showStatus(result.empty, 2600);
+      }
+      armed = result.ids;
+      b.disabled = false;
+      b.textContent = `${result.prompt} Click to queue`;
+      resetTimer = setTimeout(reset, BATCH_CONFIRM_MS);
+    });
+    return b;
   }
 
   function addUI() {
@@ -823,56 +1159,212 @@
     });
 
     btn.addEventListener('click', async () => {
-      if (running) { cancelRequested = true; showStatus('Cancel requested…', 1200); return; }
-
       if (isEmbedMode()) {
         const id = getSingleIdFromUrl();
+        if (isQueuedId(id)) return;
         if (!embedRedownloadConfirm && isDownloaded(id)) {
           embedRedownloadConfirm = true;
           updateSelectionCount();
           return;
         }
         embedRedownloadConfirm = false;
+        await enqueueSingleFromEmbed();
+        return;
       }
 
-      cancelRequested = false;
-      runProgress.current = 0;
-      runProgress.total = 0;
-      setButtonRunning(true);
+      const ids = getSelectedFeedIds();
+      if (!ids.length) return showStatus('No tiles selected');
+      await enqueueSelection(ids);
+    });
+
+    // Per-batch extras, applied to whatever is queued next
+    const extrasRow = document.createElement('div');
+    Object.assign(extrasRow.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '4px 10px',
+      fontSize: '12px',
+      borderRadius: '10px',
+      background: 'rgba(20,20,20,0.88)',
+      color: '#fff',
+      border: '1px solid rgba(255,255,255,0.25)',
+    });
+    extrasRow.appendChild(document.createTextNode('Also save:'));
+    for (const [key, label] of [['poster', 'Poster'], ['preview', 'Preview']]) {
+      const lbl = document.createElement('label');
+      Object.assign(lbl.style, { display: 'inline-flex', alignItems: 'center', gap: '4px', cursor: 'pointer', userSelect: 'none' });
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = batchExtras[key];
+      cb.addEventListener('change', () => { batchExtras[key] = cb.checked; });
+      lbl.appendChild(cb);
+      lbl.appendChild(document.createTextNode(label));
+      extrasRow.appendChild(lbl);
+    }
+    // A single embedded video has nothing to bundle
+    if (!isEmbedMode()) {
+      const lbl = document.createElement('label');
+      Object.assign(lbl.style, { display: 'inline-flex', alignItems: 'center', gap: '4px', cursor: 'pointer', userSelect: 'none' });
+      lbl.title = 'Save the batch as one ZIP archive (split into parts per the options page)';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = batchZip;
+      cb.addEventListener('change', () => { batchZip = cb.checked; });
+      lbl.appendChild(cb);
+      lbl.appendChild(document.createTextNode('One ZIP'));
+      extrasRow.appendChild(lbl);
+    }
+
+    // Bulk selection tools; shift-click and Alt-drag work on the tiles themselves
+    const selectRow = document.createElement('div');
+    selectRow.style.cssText = extrasRow.style.cssText;
+    selectRow.title = 'Shift-click a checkbox to select a range; Alt-drag over tiles to select an area';
+    selectRow.appendChild(document.createTextNode('Select:'));
+    for (const [mode, label] of [['all', 'All'], ['none', 'None'], ['invert', 'Invert'], ['new', 'Only new']]) {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = label;
+      Object.assign(b.style, {
+        padding: '2px 8px',
+        fontSize: '12px',
+        borderRadius: '6px',
+        border: '1px solid rgba(255,255,255,0.3)',
+        background: 'transparent',
+        color: '#fff',
+        cursor: 'pointer',
+      });
+      b.addEventListener('click', () => selectTiles(mode));
+      selectRow.appendChild(b);
+    }
+
+    const pauseBtn = document.createElement('button');
+    pauseBtn.type = 'button';
+    pauseBtn.style.cssText = btn.style.cssText;
+    Object.assign(pauseBtn.style, { padding: '6px 12px', fontSize: '12px', display: 'none' });
+
+    pauseBtn.addEventListener('click', async () => {
+      if (!running) return;
+      const resp = await requestQueuePause(!runProgress.paused);
+      if (!resp?.ok) showStatus(`Could not update queue: ${resp?.error || 'no response'}`, 2200);
+    });
+
+    // Cancels everything still pending, whoever queued it; items already downloading finish
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.style.cssText = pauseBtn.style.cssText;
+    cancelBtn.textContent = 'Cancel remaining';
+
+    cancelBtn.addEventListener('click', async () => {
+      if (!running) return;
+      await requestQueueCancel();
+      showStatus('Cancel requested…', 1200);
+    });
+
+    // Failed-items report
+    const failedBtn = document.createElement('button');
+    failedBtn.type = 'button';
+    failedBtn.style.cssText = pauseBtn.style.cssText;
+    failedBtn.style.borderColor = 'rgba(231,76,60,0.7)';
+
+    const failedPanel = document.createElement('div');
+    Object.assign(failedPanel.style, {
+      padding: '8px 12px',
+      fontSize: '12px',
+      borderRadius: '10px',
+      background: 'rgba(20,20,20,0.92)',
+      color: '#fff',
+      border: '1px solid rgba(255,255,255,0.2)',
+      boxShadow: '0 6px 18px rgba(0,0,0,0.35)',
+      display: 'none',
+      width: '320px',
+      textAlign: 'left',
+    });
+
+    const failedList = document.createElement('div');
+    Object.assign(failedList.style, { maxHeight: '200px', overflowY: 'auto', marginBottom: '8px' });
+
+    const failedActions = document.createElement('div');
+    Object.assign(failedActions.style, { display: 'flex', gap: '6px', justifyContent: 'flex-end' });
+
+    const makePanelButton = (label, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = label;
+      b.style.cssText = pauseBtn.style.cssText;
+      Object.assign(b.style, { display: 'inline-block', padding: '4px 10px' });
+      b.addEventListener('click', onClick);
+      failedActions.appendChild(b);
+    };
 
+    makePanelButton('Retry failed', async () => {
+      const resp = await requestQueueRetryFailed();
+      if (!resp?.ok) return showStatus(`Could not retry: ${resp?.error || 'no response'}`, 2200);
+      failedPanel.style.display = 'none';
+      showStatus(`Retrying ${resp.added}.`, 1600);
+    });
+
+    makePanelButton('Copy IDs', async () => {
+      const ids = (queueState?.failed || []).map(f => f.id);
       try {
-        if (isEmbedMode()) {
-          await runSingleDownloadFromEmbed();
-        } else {
-          const ids = getSelectedFeedIds();
-          if (!ids.length) return showStatus('No tiles selected');
-          await runQueueSequential(ids);
-        }
-      } finally {
-        setButtonRunning(false);
-        cancelRequested = false;
-        runProgress.current = 0;
-        runProgress.total = 0;
-        updateSelectionCount();
+        await navigator.clipboard.writeText(ids.join('\n'));
+        showStatus(`Copied ${ids.length} ID(s).`, 1600);
+      } catch (e) {
+        console.warn('[RedgifsBulk] clipboard write failed:', e);
+        showStatus('Could not copy to clipboard', 2200);
       }
     });
 
+    makePanelButton('Dismiss', async () => {
+      failedPanel.style.display = 'none';
+      await requestQueueClearFailed();
+    });
+
+    failedPanel.appendChild(failedList);
+    failedPanel.appendChild(failedActions);
+
+    failedBtn.addEventListener('click', () => {
+      failedPanel.style.display = failedPanel.style.display === 'none' ? 'block' : 'none';
+    });
+
     wrap.appendChild(status);
+    wrap.appendChild(failedPanel);
+    wrap.appendChild(failedBtn);
+    wrap.appendChild(pauseBtn);
+    wrap.appendChild(cancelBtn);
+    if (!isEmbedMode()) wrap.appendChild(selectRow);
+    wrap.appendChild(extrasRow);
     wrap.appendChild(btn);
     parent.appendChild(wrap);
 
-    ui = { btn, status };
+    ui = { btn, pauseBtn, cancelBtn, failedBtn, failedPanel, failedList, status };
     updateSelectionCount();
   }
 
+  // Creator pages put the banner at the top of .creatorContent; other feeds get it just
+  // above the element holding the rendered tiles
+  function findBannerAnchor() {
+    if (location.pathname.startsWith('/users/')) {
+      const creatorContent = document.querySelector(CREATOR_CONTENT_SELECTOR);
+      return creatorContent ? { parent: creatorContent, before: creatorContent.firstChild } : null;
+    }
+    const tiles = [...document.querySelectorAll(TILE_SELECTOR)];
+    if (!tiles.length) return null;
+    let feed = tiles[0].parentElement;
+    while (feed?.parentElement && feed !== document.body && !tiles.every(t => feed.contains(t))) {
+      feed = feed.parentElement;
+    }
+    return feed?.parentElement ? { parent: feed.parentElement, before: feed } : null;
+  }
+
   function addDimRemoveBanner() {
     if (document.getElementById(BANNER_ID)) return;
 
-    // Wait for .creatorContent — it may not exist yet when boot() runs
-    const creatorContent = document.querySelector(CREATOR_CONTENT_SELECTOR);
-    if (!creatorContent) {
+    // Wait for the anchor — it may not exist yet when boot() runs
+    const anchor = findBannerAnchor();
+    if (!anchor) {
       const waitObs = new MutationObserver(() => {
-        if (document.querySelector(CREATOR_CONTENT_SELECTOR)) {
+        if (findBannerAnchor()) {
           waitObs.disconnect();
           addDimRemoveBanner();
         }
@@ -988,13 +1480,51 @@
     banner.appendChild(title);
     banner.appendChild(row);
 
-    if (settings.memoryMode === 'full') {
+    if (settings.memoryMode === 'full' && creatorFromUrl()) {
       const visitText = document.createElement('span');
       visitText.textContent = lastCreatorVisit ? `Last visit: ${formatVisitDate(lastCreatorVisit)}` : 'First visit';
       banner.appendChild(visitText);
     }
 
-    creatorContent.prepend(banner);
+    const actions = document.createElement('div');
+    Object.assign(actions.style, { display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '6px' });
+    // Needs the seen-tile record and a previous visit to compare against
+    if (settings.memoryMode === 'full' && lastCreatorVisit) {
+      actions.appendChild(makeBatchButton('Download new since last visit', collectNewSinceVisit));
+      const apiLbl = document.createElement('label');
+      Object.assign(apiLbl.style, { display: 'inline-flex', alignItems: 'center', gap: '4px', cursor: 'pointer', userSelect: 'none' });
+      apiLbl.title = 'Also count new uploads that have not been scrolled into view yet';
+      const apiCb = document.createElement('input');
+      apiCb.type = 'checkbox';
+      apiCb.checked = newViaApi;
+      apiCb.addEventListener('change', () => { newViaApi = apiCb.checked; });
+      apiLbl.appendChild(apiCb);
+      apiLbl.appendChild(document.createTextNode('incl. not loaded'));
+      actions.appendChild(apiLbl);
+    }
+    if (creatorFromUrl()) actions.appendChild(makeBatchButton('Download all from this creator', collectAllFromCreator));
+
+    const filterBar = buildFilterBar();
+    const filterBtn = document.createElement('button');
+    filterBtn.type = 'button';
+    filterBtn.textContent = 'Filter…';
+    Object.assign(filterBtn.style, {
+      padding: '4px 10px',
+      fontSize: '12px',
+      borderRadius: '8px',
+      border: '1px solid rgba(255,255,255,0.35)',
+      background: 'rgba(255,255,255,0.08)',
+      color: '#fff',
+      cursor: 'pointer',
+    });
+    filterBtn.addEventListener('click', () => {
+      filterBar.style.display = filterBar.style.display === 'none' ? 'flex' : 'none';
+    });
+    actions.appendChild(filterBtn);
+    banner.appendChild(actions);
+    banner.appendChild(filterBar);
+
+    anchor.parent.insertBefore(banner, anchor.before);
   }
 
   async function boot() {
@@ -1018,11 +1548,18 @@
     addUI();
     updateSelectionCount();
 
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[QUEUE_KEY]) applyQueueState(changes[QUEUE_KEY].newValue);
+    });
+    requestQueueList().then(resp => {
+      if (resp?.ok && !queueState) applyQueueState(resp.queue);
+    });
+
     if (isEmbedMode()) return;
 
     if (location.pathname.startsWith('/users/')) {
       if (settings.memoryMode === 'full') {
-        const username = location.pathname.split('/')[2];
+        const username = creatorFromUrl();
         if (username) {
           try {
             const out = await chrome.storage.local.get(CREATOR_VISITS_KEY);
@@ -1037,8 +1574,8 @@
           );
         }
       }
-      addDimRemoveBanner();
     }
+    if (isFeedPage()) addDimRemoveBanner();
 
     scanAndInject(document);
     tilesSettled = false;
@@ -1064,15 +1601,29 @@
       let needsTagScan = false;
 
       for (const m of mutations) {
+        // A recycled tile: same element, another video
+        if (m.type === 'attributes') {
+          const tile = m.target;
+          if (!tile.matches?.(TILE_SELECTOR)) continue;
+          const id = tile.getAttribute('data-feed-item-id');
+          tile.querySelector(':scope > .rg-new-indicator')?.remove();
+          applyDownloadedState(tile, id);
+          if (id && !isDownloaded(id)) injectCheckbox(tile);
+          if (creatorFromUrl()) applyNewIndicator(tile, id);
+          tileActivity = true;
+          continue;
+        }
+
         for (const node of m.addedNodes) {
           if (!(node instanceof HTMLElement)) continue;
           if (node.id === UI_ID) continue;
 
           if (node.matches?.(TILE_SELECTOR)) {
             const id = node.getAttribute('data-feed-item-id');
+            noteTileCreator(node, id);
             applyDownloadedState(node, id);
             if (id && !isDownloaded(id)) injectCheckbox(node);
-            if (location.pathname.startsWith('/users/')) applyNewIndicator(node, id);
+            if (creatorFromUrl()) applyNewIndicator(node, id);
             tileActivity = true;
           } else if (node.querySelector?.(TILE_SELECTOR)) {
             needsFullScan = true;
@@ -1097,7 +1648,8 @@
     });
 
     const target = document.body || document.documentElement;
-    observer.observe(target, { childList: true, subtree: true });
+    observer.observe(target, { childList: true, subtree: true, attributes: true, attributeFilter: ['data-feed-item-id'] });
+    document.addEventListener('mousedown', startRubberBand, true);
   }
 
   const handleBootError = (e) => {
@@ -0,0 +1,217 @@
+// external.js — opt-in content script for the sites listed under Options → Other sites.
+// Registered at runtime by background.js (never from the manifest). Adds a download
+// button after Redgifs watch links and a page-wide batch button; downloads go through
+// the same background queue and memory as on redgifs.com.
+(() => {
+  'use strict';
+
+  // registerContentScripts can inject again into a page that already has us
+  if (window.__rgExternalLoaded) return;
+  window.__rgExternalLoaded = true;
+
+  const QUEUE_KEY = 'rg_queue_v1';
+  const SETTINGS_KEY = 'rg_settings_v1';
+  const LINK_SELECTOR = 'a[href*="redgifs.com/watch/"]';
+  const IFRAME_SELECTOR = 'iframe[src*="redgifs.com/ifr/"]';
+  const MARK_ATTR = 'data-rg-external';
+  const ID_RE = /redgifs\.com\/(?:watch|ifr)\/([a-z0-9]+)/i;
+  const SCAN_DEBOUNCE_MS = 300;
+
+  const downloaded = new Set();
+  const queried = new Set(); // IDs already looked up in memory
+  const pageIds = new Set();
+  const buttons = new Map(); // id -> buttons for that ID
+  const confirmRedownload = new Set();
+  let queueState = null;
+  // Same rule as content.js: 'none' tracks nothing, 'session' only what finishes while
+  // this page is open, 'full' also what memory holds
+  let memoryMode = 'full';
+  let batchBtn = null;
+  let scanTimer = null;
+
+  function sendMessage(msg) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(msg, (resp) => {
+        void chrome.runtime.lastError;
+        resolve(resp);
+      });
+    });
+  }
+
+  function idFromUrl(url) {
+    const m = (url || '').match(ID_RE);
+    return m ? m[1].toLowerCase() : null;
+  }
+
+  function isQueued(id) {
+    return (queueState?.items || []).some(it => it.id === id);
+  }
+
+  function buttonLabel(id) {
+    if (isQueued(id)) return 'Redgifs: downloading…';
+    if (confirmRedownload.has(id)) return 'Redgifs: download again?';
+    if (downloaded.has(id)) return 'Redgifs: downloaded';
+    return 'Redgifs: download';
+  }
+
+  function refreshButtons(id) {
+    for (const b of buttons.get(id) || []) {
+      b.textContent = buttonLabel(id);
+      b.style.opacity = downloaded.has(id) && !confirmRedownload.has(id) ? '0.6' : '1';
+    }
+  }
+
+  function refreshAll() {
+    for (const id of buttons.keys()) refreshButtons(id);
+    updateBatchButton();
+  }
+
+  async function enqueue(ids) {
+    const resp = await sendMessage({ type: 'QUEUE_ENQUEUE', items: ids.map(id => ({ id, creator: null })) });
+    if (!resp?.ok) console.warn('[RedgifsBulk] could not queue:', resp?.error);
+    return resp;
+  }
+
+  function makeButton(id) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    Object.assign(b.style, {
+      marginLeft: '6px',
+      padding: '1px 8px',
+      fontSize: '11px',
+      lineHeight: '18px',
+      borderRadius: '9px',
+      border: '1px solid rgba(0,0,0,0.25)',
+      background: '#c0392b',
+      color: '#fff',
+      cursor: 'pointer',
+      verticalAlign: 'middle',
+    });
+    b.addEventListener('click', async (e) => {
+      // The button usually sits inside a clickable post
+      e.preventDefault();
+      e.stopPropagation();
+      if (isQueued(id)) return;
+      // Same two-step re-download as the embed button
+      if (downloaded.has(id) && !confirmRedownload.has(id)) {
+        confirmRedownload.add(id);
+        refreshButtons(id);
+        return;
+      }
+      confirmRedownload.delete(id);
+      await enqueue([id]);
+    });
+    if (!buttons.has(id)) buttons.set(id, []);
+    buttons.get(id).push(b);
+    return b;
+  }
+
+  function updateBatchButton() {
+    const pending = [...pageIds].filter(id => !downloaded.has(id) && !isQueued(id));
+    if (!batchBtn) {
+      batchBtn = document.createElement('button');
+      batchBtn.type = 'button';
+      Object.assign(batchBtn.style, {
+        position: 'fixed',
+        right: '16px',
+        bottom: '16px',
+        zIndex: '2147483647',
+        padding: '8px 12px',
+        fontSize: '13px',
+        fontWeight: '700',
+        borderRadius: '12px',
+        border: '1px solid rgba(255,255,255,0.25)',
+        background: 'rgba(20,20,20,0.88)',
+        color: '#fff',
+        cursor: 'pointer',
+        boxShadow: '0 6px 18px rgba(0,0,0,0.35)',
+      });
+      batchBtn.addEventListener('click', async () => {
+        const ids = [...pageIds].filter(id => !downloaded.has(id) && !isQueued(id));
+        if (ids.length) await enqueue(ids);
+      });
+      document.body.appendChild(batchBtn);
+    }
+    batchBtn.style.display = pending.length ? 'block' : 'none';
+    batchBtn.textContent = `Download all Redgifs on this page (${pending.length})`;
+  }
+
+  async function lookupMemory(ids) {
+    if (memoryMode !== 'full') return;
+    const fresh = ids.filter(id => !queried.has(id));
+    if (!fresh.length) return;
+    for (const id of fresh) queried.add(id);
+    const resp = await sendMessage({ type: 'MEM_FIND_DOWNLOADED', ids: fresh });
+    for (const id of resp?.downloaded || []) downloaded.add(id);
+    refreshAll();
+  }
+
+  function scan() {
+    const found = [];
+    for (const a of document.querySelectorAll(`${LINK_SELECTOR}:not([${MARK_ATTR}])`)) {
+      a.setAttribute(MARK_ATTR, '1');
+      const id = idFromUrl(a.href);
+      if (!id) continue;
+      found.push(id);
+      // Thumbnail links repeat the title link; one button per post is enough
+      if (a.querySelector('img, video')) continue;
+      a.insertAdjacentElement('afterend', makeButton(id));
+    }
+    // Embeds already carry their own Download button (content.js runs inside /ifr/
+    // frames), so they only count towards the batch
+    for (const f of document.querySelectorAll(`${IFRAME_SELECTOR}:not([${MARK_ATTR}])`)) {
+      f.setAttribute(MARK_ATTR, '1');
+      const id = idFromUrl(f.src);
+      if (id) found.push(id);
+    }
+    if (!found.length) return;
+    for (const id of found) pageIds.add(id);
+    refreshAll();
+    lookupMemory(found);
+  }
+
+  // Mark finished items the same way content.js does: from new queue results
+  function applyQueueState(q) {
+    const prev = queueState;
+    queueState = q || null;
+    if (prev && queueState) {
+      const known = new Set((prev.recent || []).map(r => `${r.id}:${r.at}`));
+      for (const entry of queueState.recent || []) {
+        if (entry.ok && memoryMode !== 'none' && !known.has(`${entry.id}:${entry.at}`)) downloaded.add(entry.id);
+      }
+    }
+    refreshAll();
+  }
+
+  function applyMemoryMode(stored) {
+    const mode = ['full', 'session', 'none'].includes(stored?.memoryMode) ? stored.memoryMode : 'full';
+    if (mode === memoryMode) return;
+    memoryMode = mode;
+    // Start over from what the new mode allows
+    downloaded.clear();
+    queried.clear();
+    confirmRedownload.clear();
+    refreshAll();
+    lookupMemory([...pageIds]);
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[QUEUE_KEY]) applyQueueState(changes[QUEUE_KEY].newValue);
+    if (changes[SETTINGS_KEY]) applyMemoryMode(changes[SETTINGS_KEY].newValue);
+  });
+  sendMessage({ type: 'QUEUE_LIST' }).then(resp => {
+    if (resp?.ok && !queueState) applyQueueState(resp.queue);
+  });
+
+  chrome.storage.local.get(SETTINGS_KEY)
+    .then(out => applyMemoryMode(out[SETTINGS_KEY]))
+    .catch(e => console.warn('[RedgifsBulk] settings load failed:', e))
+    .finally(() => {
+      scan();
+      new MutationObserver(() => {
+        clearTimeout(scanTimer);
+        scanTimer = setTimeout(scan, SCAN_DEBOUNCE_MS);
+      }).observe(document.body || document.documentElement, { childList: true, subtree: true });
+    });
+})();
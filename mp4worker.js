@@ -1,9 +1,83 @@
 // mp4worker.js (module worker) - streaming CHUNK output
-// - Parses fMP4 HLS byte-range manifests (#EXT-X-MAP + #EXT-X-BYTERANGE)
+// - Parses HLS media playlists (fMP4 with #EXT-X-MAP / #EXT-X-BYTERANGE, or MPEG-TS);
+//   master playlists are resolved to one variant first (highest bandwidth by default)
+// - Decrypts AES-128 (#EXT-X-KEY) segments with WebCrypto; other methods are rejected
 // - Requests init + segments from the main thread via FETCH/FETCH_RESULT
-// - Strips duplicate ftyp/moov from media segments
+//   (segment -1 is the init map; the host may answer from its segment cache)
+// - Strips duplicate ftyp/moov from media segments (plain concatenation), or
+// - Remuxes moof/mdat fragments, or transmuxes TS (H.264 + AAC), into one progressive
+//   MP4 with a rebuilt moov
+//   (appended last, or inserted before the mdat by the host for faststart)
 // - Streams CHUNK messages back to the main thread (transferable ArrayBuffers)
-// - Sends DONE at end (no giant concatenation in worker)
+// - Sends DONE at end (no giant concatenation in worker; the host streams CHUNKs to disk)
+
+function parseAttributes(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let m;
+  while ((m = re.exec(str))) attrs[m[1]] = m[2].replace(/^"|"$/g, '');
+  return attrs;
+}
+
+// Variant streams of a master playlist; empty for a media playlist. separateAudio marks
+// variants whose AUDIO group points at its own playlist (#EXT-X-MEDIA with a URI): only
+// the variant playlist is downloaded, so those would be saved without sound.
+function parseMasterPlaylist(manifestText, baseUrl) {
+  const lines = manifestText.split('\n').map(l => l.trim()).filter(Boolean);
+  const variants = [];
+  const externalAudioGroups = new Set();
+  let pending = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+      if (attrs.TYPE === 'AUDIO' && attrs.URI && attrs['GROUP-ID']) externalAudioGroups.add(attrs['GROUP-ID']);
+      continue;
+    }
+
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      const [width, height] = (attrs.RESOLUTION || '').split('x').map(n => parseInt(n, 10));
+      pending = { bandwidth: parseInt(attrs.BANDWIDTH, 10) || 0, width: width || 0, height: height || 0, audio: attrs.AUDIO || null };
+      continue;
+    }
+
+    if (!line.startsWith('#') && pending) {
+      variants.push({ ...pending, url: new URL(line, baseUrl).toString() });
+      pending = null;
+    }
+  }
+
+  for (const v of variants) v.separateAudio = !!v.audio && externalAudioGroups.has(v.audio);
+  return variants;
+}
+
+// preference: 'highest' | 'lowest' | a maximum height such as '720'
+function pickVariant(variants, preference) {
+  const sorted = [...variants].sort((a, b) => (b.bandwidth - a.bandwidth) || (b.height - a.height));
+  if (preference === 'lowest') return sorted[sorted.length - 1];
+  const maxHeight = parseInt(preference, 10);
+  if (maxHeight > 0) return sorted.find(v => v.height && v.height <= maxHeight) || sorted[sorted.length - 1];
+  return sorted[0];
+}
+
+// Throws for anything but METHOD=NONE / AES-128 with identity keys, so DRM or
+// SAMPLE-AES streams fail up front instead of being saved as ciphertext.
+function parseKeyTag(attrs, resolveUrl) {
+  const method = attrs.METHOD || 'NONE';
+  if (method === 'NONE') return null;
+  if (method !== 'AES-128') throw new Error(`Unsupported HLS encryption method: ${method}`);
+  if (attrs.KEYFORMAT && attrs.KEYFORMAT !== 'identity') throw new Error(`Unsupported HLS key format: ${attrs.KEYFORMAT}`);
+  if (!attrs.URI) throw new Error('AES-128 key tag has no URI');
+
+  let iv = null;
+  if (attrs.IV) {
+    const hex = attrs.IV.replace(/^0x/i, '');
+    if (!/^[0-9a-f]{1,32}$/i.test(hex)) throw new Error(`Invalid AES-128 IV: ${attrs.IV}`);
+    iv = Uint8Array.from(hex.padStart(32, '0').match(/../g), b => parseInt(b, 16));
+  }
+  return { url: resolveUrl(attrs.URI), iv };
+}
 
 function parseM3u8(manifestText, baseUrl) {
   const lines = manifestText.split('\n').map(l => l.trim()).filter(Boolean);
@@ -11,10 +85,23 @@ function parseM3u8(manifestText, baseUrl) {
   let init = null;
   const segments = [];
   let current = null;
+  let nextOffset = 0; // a BYTERANGE without @offset continues the previous range
+  let sequence = 0;
+  let key = null;
 
   const resolveUrl = (u) => new URL(u, baseUrl).toString();
 
   for (const line of lines) {
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      sequence = parseInt(line.split(':')[1], 10) || 0;
+      continue;
+    }
+
+    if (line.startsWith('#EXT-X-KEY:')) {
+      key = parseKeyTag(parseAttributes(line.slice('#EXT-X-KEY:'.length)), resolveUrl);
+      continue;
+    }
+
     if (line.startsWith('#EXT-X-MAP:')) {
       const uriMatch = line.match(/URI="([^"]+)"/);
       const brMatch = line.match(/BYTERANGE="([^"]+)"/);
@@ -25,13 +112,13 @@ function parseM3u8(manifestText, baseUrl) {
           const [lenStr, offStr] = brMatch[1].split('@');
           byteRange = { length: parseInt(lenStr, 10), offset: parseInt(offStr, 10) };
         }
-        init = { url, byteRange };
+        init = { url, byteRange, key, sequence: sequence + segments.length };
       }
       continue;
     }
 
     if (line.startsWith('#EXTINF:')) {
-      current = { url: null, byteRange: null };
+      current = { url: null, byteRange: null, key, sequence: sequence + segments.length };
       continue;
     }
 
@@ -41,8 +128,9 @@ function parseM3u8(manifestText, baseUrl) {
       if (current) {
         current.byteRange = {
           length: parseInt(lenStr, 10),
-          offset: offStr ? parseInt(offStr, 10) : 0
+          offset: offStr ? parseInt(offStr, 10) : nextOffset
         };
+        nextOffset = current.byteRange.offset + current.byteRange.length;
       }
       continue;
     }
@@ -81,16 +169,908 @@ function stripLeadingFtypMoov(u8) {
   return p > 0 ? u8.slice(p) : u8;
 }
 
+// ===== Remux (fragmented → progressive MP4) =====
+// Rebuilds one moov with complete sample tables from the init segment plus every
+// moof/mdat pair. Sample bytes are streamed into a single mdat as they arrive; only
+// per-sample metadata (size, duration, flags, composition offset) is kept in memory.
+
+const MDAT_HEADER_SIZE = 16; // always written with a 64-bit largesize
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts', 'mvex', 'dinf']);
+
+function readU64BE(u8, off) {
+  return readU32BE(u8, off) * 0x100000000 + readU32BE(u8, off + 4);
+}
+
+// Top-level boxes of u8[start, end) as { type, start, header, end }
+function listBoxes(u8, start = 0, end = u8.length) {
+  const out = [];
+  let p = start;
+  while (p + 8 <= end) {
+    let size = readU32BE(u8, p);
+    let header = 8;
+    if (size === 1) {
+      if (p + 16 > end) break;
+      size = readU64BE(u8, p + 8);
+      header = 16;
+    } else if (size === 0) {
+      size = end - p;
+    }
+    if (size < header || p + size > end) break;
+    out.push({ type: boxType(u8, p + 4), start: p, header, end: p + size });
+    p += size;
+  }
+  return out;
+}
+
+function parseBoxTree(u8, box) {
+  if (CONTAINER_BOXES.has(box.type)) {
+    return { type: box.type, children: listBoxes(u8, box.start + box.header, box.end).map(b => parseBoxTree(u8, b)) };
+  }
+  return { type: box.type, payload: u8.slice(box.start + box.header, box.end) };
+}
+
+function childOf(node, type) {
+  return node?.children?.find(c => c.type === type) || null;
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((n, p) => n + p.byteLength, 0);
+  const out = new Uint8Array(total);
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.byteLength; }
+  return out;
+}
+
+function asciiBytes(str) {
+  return Uint8Array.from(str, c => c.charCodeAt(0));
+}
+
+// Big-endian u32 list; negatives are written as two's complement (ctts v1)
+function u32Bytes(values) {
+  const out = new Uint8Array(values.length * 4);
+  const dv = new DataView(out.buffer);
+  for (let i = 0; i < values.length; i++) dv.setUint32(i * 4, values[i] >>> 0);
+  return out;
+}
+
+function makeBox(type, body) {
+  return concatBytes([u32Bytes([8 + body.byteLength]), asciiBytes(type), body]);
+}
+
+function makeFullBox(type, version, flags, body) {
+  return makeBox(type, concatBytes([u32Bytes([((version << 24) | flags) >>> 0]), body]));
+}
+
+function serializeBox(node) {
+  return makeBox(node.type, node.children ? concatBytes(node.children.map(serializeBox)) : node.payload);
+}
+
+function mdatHeader(payloadSize) {
+  const total = MDAT_HEADER_SIZE + payloadSize;
+  return concatBytes([u32Bytes([1]), asciiBytes('mdat'), u32Bytes([Math.floor(total / 0x100000000), total])]);
+}
+
+function buildFtyp() {
+  return makeBox('ftyp', concatBytes([asciiBytes('isom'), u32Bytes([512]), asciiBytes('isomiso2avc1mp41')]));
+}
+
+// mvhd/mdhd share a layout; tkhd has track_ID + reserved before its duration
+function readTimescale(payload) {
+  return readU32BE(payload, payload[0] === 1 ? 20 : 12);
+}
+
+function writeDuration(payload, offV0, offV1, value) {
+  const dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  if (payload[0] === 1) {
+    dv.setUint32(offV1, Math.floor(value / 0x100000000));
+    dv.setUint32(offV1 + 4, value >>> 0);
+  } else {
+    dv.setUint32(offV0, Math.min(value, 0xFFFFFFFF));
+  }
+}
+
+function createTrackState(fields) {
+  return {
+    ...fields,
+    durations: [],
+    sizes: [],
+    ctts: [],
+    syncSamples: [],
+    anyNonSync: false,
+    hasCtts: false,
+    negativeCtts: false,
+    chunks: [], // { offset (within mdat payload), count }
+  };
+}
+
+function recordSample(track, duration, size, cto, sync) {
+  track.durations.push(duration);
+  track.sizes.push(size);
+  track.ctts.push(cto);
+  if (cto) track.hasCtts = true;
+  if (cto < 0) track.negativeCtts = true;
+  if (sync) track.syncSamples.push(track.sizes.length);
+  else track.anyNonSync = true;
+}
+
+function parseInitSegment(u8) {
+  const moovBox = listBoxes(u8).find(b => b.type === 'moov');
+  if (!moovBox) throw new Error('Cannot remux: no moov box in init segment');
+  const moov = parseBoxTree(u8, moovBox);
+
+  const trexById = new Map();
+  for (const trex of childOf(moov, 'mvex')?.children.filter(c => c.type === 'trex') || []) {
+    const p = trex.payload;
+    trexById.set(readU32BE(p, 4), { duration: readU32BE(p, 12), size: readU32BE(p, 16), flags: readU32BE(p, 20) });
+  }
+
+  const tracks = new Map();
+  for (const trak of moov.children.filter(c => c.type === 'trak')) {
+    const tkhd = childOf(trak, 'tkhd');
+    const mdhd = childOf(childOf(trak, 'mdia'), 'mdhd');
+    if (!tkhd || !mdhd) continue;
+    const trackId = readU32BE(tkhd.payload, tkhd.payload[0] === 1 ? 20 : 12);
+    tracks.set(trackId, createTrackState({
+      trak,
+      timescale: readTimescale(mdhd.payload),
+      defaults: trexById.get(trackId) || { duration: 0, size: 0, flags: 0 },
+    }));
+  }
+  if (!tracks.size) throw new Error('Cannot remux: init segment has no tracks');
+
+  moov.children = moov.children.filter(c => c.type !== 'mvex');
+  return { moov, movieTimescale: readTimescale(childOf(moov, 'mvhd').payload), tracks };
+}
+
+// Records every sample of the segment's moof/mdat pairs and returns their bytes in
+// output order. mdatPos is where those bytes will start inside the output mdat.
+function appendFragments(u8, movie, mdatPos) {
+  const runs = [];
+  let outPos = mdatPos;
+
+  for (const moof of listBoxes(u8).filter(b => b.type === 'moof')) {
+    for (const traf of listBoxes(u8, moof.start + moof.header, moof.end).filter(b => b.type === 'traf')) {
+      const kids = listBoxes(u8, traf.start + traf.header, traf.end);
+      const tfhd = kids.find(b => b.type === 'tfhd');
+      if (!tfhd) continue;
+
+      let p = tfhd.start + tfhd.header;
+      const hdFlags = readU32BE(u8, p) & 0xFFFFFF;
+      const track = movie.tracks.get(readU32BE(u8, p + 4));
+      p += 8;
+      if (!track) continue;
+
+      let base = moof.start;
+      if (hdFlags & 0x1) { base = readU64BE(u8, p); p += 8; }
+      if (hdFlags & 0x2) p += 4; // sample_description_index
+      let defDuration = track.defaults.duration;
+      let defSize = track.defaults.size;
+      let defFlags = track.defaults.flags;
+      if (hdFlags & 0x8)  { defDuration = readU32BE(u8, p); p += 4; }
+      if (hdFlags & 0x10) { defSize = readU32BE(u8, p); p += 4; }
+      if (hdFlags & 0x20) { defFlags = readU32BE(u8, p); p += 4; }
+
+      let dataCursor = base;
+      for (const trun of kids.filter(b => b.type === 'trun')) {
+        let q = trun.start + trun.header;
+        const runFlags = readU32BE(u8, q) & 0xFFFFFF;
+        const count = readU32BE(u8, q + 4);
+        q += 8;
+        if (runFlags & 0x1) { dataCursor = base + (readU32BE(u8, q) | 0); q += 4; }
+        let firstFlags = null;
+        if (runFlags & 0x4) { firstFlags = readU32BE(u8, q); q += 4; }
+
+        const runStart = dataCursor;
+        let runBytes = 0;
+        for (let i = 0; i < count; i++) {
+          let duration = defDuration;
+          let size = defSize;
+          let flags = (i === 0 && firstFlags !== null) ? firstFlags : defFlags;
+          let cto = 0;
+          if (runFlags & 0x100) { duration = readU32BE(u8, q); q += 4; }
+          if (runFlags & 0x200) { size = readU32BE(u8, q); q += 4; }
+          if (runFlags & 0x400) { const f = readU32BE(u8, q); q += 4; if (!(i === 0 && firstFlags !== null)) flags = f; }
+          if (runFlags & 0x800) { cto = readU32BE(u8, q) | 0; q += 4; }
+
+          // sample_is_non_sync_sample
+          recordSample(track, duration, size, cto, !(flags & 0x10000));
+          runBytes += size;
+        }
+
+        if (!count) continue;
+        if (runStart < 0 || runStart + runBytes > u8.length) throw new Error('Cannot remux: truncated fragment');
+        track.chunks.push({ offset: outPos, count });
+        runs.push(u8.subarray(runStart, runStart + runBytes));
+        outPos += runBytes;
+        dataCursor = runStart + runBytes;
+      }
+    }
+  }
+
+  return concatBytes(runs);
+}
+
+function runLength(values) {
+  const out = [];
+  for (const v of values) {
+    const last = out[out.length - 1];
+    if (last && last[1] === v) last[0]++;
+    else out.push([1, v]);
+  }
+  return out;
+}
+
+function buildSampleTables(track, dataStart, co64) {
+  const boxes = [];
+
+  const stts = runLength(track.durations);
+  boxes.push(makeFullBox('stts', 0, 0, u32Bytes([stts.length, ...stts.flat()])));
+
+  if (track.hasCtts) {
+    const ctts = runLength(track.ctts);
+    boxes.push(makeFullBox('ctts', track.negativeCtts ? 1 : 0, 0, u32Bytes([ctts.length, ...ctts.flat()])));
+  }
+
+  if (track.anyNonSync) {
+    boxes.push(makeFullBox('stss', 0, 0, u32Bytes([track.syncSamples.length, ...track.syncSamples])));
+  }
+
+  const stsc = [];
+  track.chunks.forEach((c, i) => {
+    if (!stsc.length || stsc[stsc.length - 1][1] !== c.count) stsc.push([i + 1, c.count, 1]);
+  });
+  boxes.push(makeFullBox('stsc', 0, 0, u32Bytes([stsc.length, ...stsc.flat()])));
+
+  boxes.push(makeFullBox('stsz', 0, 0, u32Bytes([0, track.sizes.length, ...track.sizes])));
+
+  const offsets = track.chunks.map(c => dataStart + c.offset);
+  if (co64) {
+    boxes.push(makeFullBox('co64', 0, 0, u32Bytes([offsets.length, ...offsets.flatMap(o => [Math.floor(o / 0x100000000), o])])));
+  } else {
+    boxes.push(makeFullBox('stco', 0, 0, u32Bytes([offsets.length, ...offsets])));
+  }
+
+  return boxes.map(payload => ({ type: boxType(payload, 4), payload: payload.subarray(8) }));
+}
+
+function buildMoovTree(movie, dataStart, co64) {
+  let movieDuration = 0;
+
+  for (const track of movie.tracks.values()) {
+    const mediaDuration = track.durations.reduce((a, b) => a + b, 0);
+    const duration = Math.round(mediaDuration * movie.movieTimescale / (track.timescale || 1));
+    const delay = track.edit?.delay || 0;
+    movieDuration = Math.max(movieDuration, delay + duration);
+
+    const mdia = childOf(track.trak, 'mdia');
+    const stbl = childOf(childOf(mdia, 'minf'), 'stbl');
+    const stsd = childOf(stbl, 'stsd');
+    stbl.children = [stsd, ...buildSampleTables(track, dataStart, co64)];
+
+    writeDuration(childOf(mdia, 'mdhd').payload, 16, 24, mediaDuration);
+    writeDuration(childOf(track.trak, 'tkhd').payload, 20, 28, delay + duration);
+
+    // Built-from-scratch tracks (MPEG-TS) get an explicit edit list
+    if (track.edit) {
+      const entries = delay > 0 ? [delay, 0xFFFFFFFF, 0x00010000] : []; // empty edit
+      entries.push(duration, track.edit.mediaTime, 0x00010000);
+      const edts = { type: 'edts', children: [fullLeaf('elst', 0, 0, u32Bytes([entries.length / 3, ...entries]))] };
+      const [tkhd, ...rest] = track.trak.children;
+      track.trak.children = [tkhd, edts, ...rest.filter(c => c.type !== 'edts')];
+    }
+
+    // Fragmented inits leave a single edit's duration at 0 ("unknown")
+    const elst = childOf(childOf(track.trak, 'edts'), 'elst');
+    if (elst && readU32BE(elst.payload, 4) === 1) {
+      const v1 = elst.payload[0] === 1;
+      const segDuration = v1 ? readU64BE(elst.payload, 8) : readU32BE(elst.payload, 8);
+      if (segDuration === 0) writeDuration(elst.payload, 8, 8, duration);
+    }
+  }
+
+  writeDuration(childOf(movie.moov, 'mvhd').payload, 16, 24, movieDuration);
+  return movie.moov;
+}
+
+// moov placed before the mdat (faststart) shifts every chunk offset by its own size,
+// which in turn can flip stco ↔ co64, so rebuild until the size is stable.
+function buildMovieBox(movie, ftypSize, mdatSize, faststart) {
+  let moovSize = 0;
+  for (;;) {
+    const dataStart = ftypSize + (faststart ? moovSize : 0) + MDAT_HEADER_SIZE;
+    const co64 = dataStart + mdatSize > 0xFFFFFFFF;
+    const moov = serializeBox(buildMoovTree(movie, dataStart, co64));
+    if (!faststart || moov.byteLength === moovSize) return moov;
+    moovSize = moov.byteLength;
+  }
+}
+
+// ===== MPEG-TS transmux =====
+// TS playlists carry H.264 (Annex B) and AAC (ADTS) in PES packets. Access units are
+// rewritten as length-prefixed samples into the same streamed mdat the fMP4 remux
+// uses, and the moov is built from scratch (avcC from the SPS/PPS, esds from ADTS).
+
+const TS_PACKET_SIZE = 188;
+const TS_TIMESCALE = 90000;
+const MOVIE_TIMESCALE = 1000;
+const STREAM_TYPE_H264 = 0x1B;
+const STREAM_TYPE_AAC = 0x0F;
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+const H264_HIGH_PROFILES = new Set([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135]);
+const UNITY_MATRIX = [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000];
+
+function isTransportStream(u8) {
+  return u8.length >= TS_PACKET_SIZE && u8[0] === 0x47 &&
+    (u8.length === TS_PACKET_SIZE || u8[TS_PACKET_SIZE] === 0x47);
+}
+
+// 33-bit PTS/DTS; the top bits are multiplied in to stay clear of 32-bit overflow
+function readPesTimestamp(u8, off) {
+  return (u8[off] & 0x0E) * 0x20000000 +
+    ((u8[off + 1] << 22) | ((u8[off + 2] & 0xFE) << 14) | (u8[off + 3] << 7) | (u8[off + 4] >> 1));
+}
+
+function parsePes(u8) {
+  if (u8.length < 9 || u8[0] !== 0 || u8[1] !== 0 || u8[2] !== 1) return null;
+  const flags = u8[7];
+  const headerEnd = 9 + u8[8];
+  if (headerEnd > u8.length) return null;
+  const pts = (flags & 0x80) ? readPesTimestamp(u8, 9) : null;
+  const dts = (flags & 0x40) ? readPesTimestamp(u8, 14) : pts;
+  return { pts, dts, data: u8.subarray(headerEnd) };
+}
+
+function splitNalUnits(u8) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < u8.length) {
+    if (u8[i] === 0 && u8[i + 1] === 0 && u8[i + 2] === 1) {
+      if (start >= 0) {
+        let end = i;
+        while (end > start && u8[end - 1] === 0) end--; // 4-byte start codes
+        units.push(u8.subarray(start, end));
+      }
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0) units.push(u8.subarray(start));
+  return units.filter(n => n.length);
+}
+
+function removeEmulationPrevention(u8) {
+  const out = [];
+  for (let i = 0; i < u8.length; i++) {
+    if (i >= 2 && u8[i] === 3 && u8[i - 1] === 0 && u8[i - 2] === 0) continue;
+    out.push(u8[i]);
+  }
+  return Uint8Array.from(out);
+}
+
+function createBitReader(u8) {
+  let pos = 0;
+  const bit = () => {
+    const v = (u8[pos >> 3] >> (7 - (pos & 7))) & 1;
+    pos++;
+    return v;
+  };
+  const bits = (n) => {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = v * 2 + bit();
+    return v;
+  };
+  const ue = () => {
+    let zeros = 0;
+    while (!bit() && zeros < 32) zeros++;
+    return bits(zeros) + 2 ** zeros - 1;
+  };
+  const se = () => {
+    const v = ue();
+    return (v & 1) ? (v + 1) / 2 : -v / 2;
+  };
+  return { bit, bits, ue, se };
+}
+
+// Only walks the SPS far enough to reach the (cropped) picture size
+function parseSpsDimensions(sps) {
+  const r = createBitReader(removeEmulationPrevention(sps.subarray(1)));
+  const profileIdc = r.bits(8);
+  r.bits(16); // constraint flags, level_idc
+  r.ue(); // seq_parameter_set_id
+
+  let chromaFormat = 1;
+  if (H264_HIGH_PROFILES.has(profileIdc)) {
+    chromaFormat = r.ue();
+    if (chromaFormat === 3) r.bit(); // separate_colour_plane_flag
+    r.ue(); r.ue(); // bit_depth_luma/chroma_minus8
+    r.bit(); // qpprime_y_zero_transform_bypass_flag
+    if (r.bit()) { // seq_scaling_matrix_present_flag
+      for (let i = 0; i < (chromaFormat === 3 ? 12 : 8); i++) {
+        if (!r.bit()) continue;
+        let last = 8;
+        let next = 8;
+        for (let j = 0; j < (i < 6 ? 16 : 64) && next !== 0; j++) {
+          next = (last + r.se() + 256) % 256;
+          if (next !== 0) last = next;
+        }
+      }
+    }
+  }
+
+  r.ue(); // log2_max_frame_num_minus4
+  const pocType = r.ue();
+  if (pocType === 0) {
+    r.ue();
+  } else if (pocType === 1) {
+    r.bit(); r.se(); r.se();
+    const cycle = r.ue();
+    for (let i = 0; i < cycle; i++) r.se();
+  }
+  r.ue(); // max_num_ref_frames
+  r.bit(); // gaps_in_frame_num_value_allowed_flag
+  const widthMbs = r.ue() + 1;
+  const heightMapUnits = r.ue() + 1;
+  const frameMbsOnly = r.bit();
+  if (!frameMbsOnly) r.bit(); // mb_adaptive_frame_field_flag
+  r.bit(); // direct_8x8_inference_flag
+  const crop = r.bit() ? [r.ue(), r.ue(), r.ue(), r.ue()] : [0, 0, 0, 0];
+
+  const cropX = (chromaFormat === 1 || chromaFormat === 2) ? 2 : 1;
+  const cropY = (chromaFormat === 1 ? 2 : 1) * (2 - frameMbsOnly);
+  return {
+    width: widthMbs * 16 - (crop[0] + crop[1]) * cropX,
+    height: (2 - frameMbsOnly) * heightMapUnits * 16 - (crop[2] + crop[3]) * cropY,
+  };
+}
+
+function u16Bytes(values) {
+  const out = new Uint8Array(values.length * 2);
+  const dv = new DataView(out.buffer);
+  for (let i = 0; i < values.length; i++) dv.setUint16(i * 2, values[i] & 0xFFFF);
+  return out;
+}
+
+// Box-tree leaf for a full box (payload starts with version/flags)
+function fullLeaf(type, version, flags, body) {
+  return { type, payload: concatBytes([u32Bytes([((version << 24) | flags) >>> 0]), body]) };
+}
+
+function descriptor(tag, body) {
+  return concatBytes([Uint8Array.of(tag, body.byteLength), body]);
+}
+
+function buildAvcSampleEntry(track) {
+  const { sps, pps } = track;
+  const avcC = makeBox('avcC', concatBytes([
+    Uint8Array.of(1, sps[1], sps[2], sps[3], 0xFF, 0xE1), // 4-byte lengths, one SPS
+    u16Bytes([sps.length]), sps,
+    Uint8Array.of(1), u16Bytes([pps.length]), pps,
+  ]));
+  return makeBox('avc1', concatBytes([
+    new Uint8Array(6), u16Bytes([1]), // reserved, data_reference_index
+    new Uint8Array(16), // pre_defined + reserved
+    u16Bytes([track.width, track.height]),
+    u32Bytes([0x00480000, 0x00480000, 0]), // 72 dpi, reserved
+    u16Bytes([1]), new Uint8Array(32), // frame_count, compressorname
+    u16Bytes([0x18, 0xFFFF]), // depth, pre_defined
+    avcC,
+  ]));
+}
+
+function buildAacSampleEntry(track) {
+  const { objectType, rateIndex, channels } = track.aac;
+  const audioSpecificConfig = Uint8Array.of(
+    (objectType << 3) | (rateIndex >> 1),
+    ((rateIndex & 1) << 7) | (channels << 3)
+  );
+  const esds = makeFullBox('esds', 0, 0, descriptor(0x03, concatBytes([
+    u16Bytes([track.id]), Uint8Array.of(0),
+    descriptor(0x04, concatBytes([
+      Uint8Array.of(0x40, 0x15, 0, 0, 0), // MPEG-4 audio, audio stream, bufferSizeDB
+      u32Bytes([0, 0]), // max/avg bitrate
+      descriptor(0x05, audioSpecificConfig),
+    ])),
+    descriptor(0x06, Uint8Array.of(0x02)),
+  ])));
+  return makeBox('mp4a', concatBytes([
+    new Uint8Array(6), u16Bytes([1]), // reserved, data_reference_index
+    new Uint8Array(8), // reserved
+    u16Bytes([channels, 16, 0, 0]), // channelcount, samplesize, pre_defined, reserved
+    u32Bytes([track.timescale * 0x10000]),
+    esds,
+  ]));
+}
+
+// Durations are left at 0 here; buildMoovTree fills them in with the sample tables
+function buildTrak(track) {
+  const isVideo = track.kind === 'video';
+  if (isVideo) Object.assign(track, parseSpsDimensions(track.sps));
+  const sampleEntry = isVideo ? buildAvcSampleEntry(track) : buildAacSampleEntry(track);
+
+  return {
+    type: 'trak',
+    children: [
+      fullLeaf('tkhd', 0, 3, concatBytes([
+        u32Bytes([0, 0, track.id, 0, 0, 0, 0]), // times, track_ID, reserved, duration, reserved
+        u16Bytes([0, 0, isVideo ? 0 : 0x0100, 0]), // layer, alternate_group, volume, reserved
+        u32Bytes([...UNITY_MATRIX, (track.width || 0) * 0x10000, (track.height || 0) * 0x10000]),
+      ])),
+      {
+        type: 'mdia',
+        children: [
+          fullLeaf('mdhd', 0, 0, concatBytes([u32Bytes([0, 0, track.timescale, 0]), u16Bytes([0x55C4, 0])])), // 'und'
+          fullLeaf('hdlr', 0, 0, concatBytes([
+            u32Bytes([0]), asciiBytes(isVideo ? 'vide' : 'soun'), new Uint8Array(12),
+            asciiBytes(isVideo ? 'VideoHandler' : 'SoundHandler'), new Uint8Array(1),
+          ])),
+          {
+            type: 'minf',
+            children: [
+              isVideo ? fullLeaf('vmhd', 0, 1, new Uint8Array(8)) : fullLeaf('smhd', 0, 0, new Uint8Array(4)),
+              { type: 'dinf', children: [fullLeaf('dref', 0, 0, concatBytes([u32Bytes([1]), makeFullBox('url ', 0, 1, new Uint8Array(0))]))] },
+              { type: 'stbl', children: [fullLeaf('stsd', 0, 0, concatBytes([u32Bytes([1]), sampleEntry]))] },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function buildMvhd(nextTrackId) {
+  return fullLeaf('mvhd', 0, 0, concatBytes([
+    u32Bytes([0, 0, MOVIE_TIMESCALE, 0, 0x00010000]), // times, timescale, duration, rate
+    u16Bytes([0x0100, 0]), // volume, reserved
+    u32Bytes([0, 0, ...UNITY_MATRIX, 0, 0, 0, 0, 0, 0, nextTrackId]),
+  ]));
+}
+
+// Stateful across segments: a PES (and an ADTS frame) may straddle a segment boundary,
+// and a video sample is only written once the next one's DTS gives its duration.
+function createTsDemuxer() {
+  const streams = new Map(); // pid -> { track, parts }
+  let pmtPid = -1;
+  let nextTrackId = 1;
+  let out = null; // { parts, pos } for the segment being pushed
+
+  function writeSample(track, bytes, duration, cto, sync) {
+    const offset = out.pos;
+    if (track.chunkEnd === offset) track.chunks[track.chunks.length - 1].count++;
+    else track.chunks.push({ offset, count: 1 });
+    track.chunkEnd = offset + bytes.byteLength;
+    out.parts.push(bytes);
+    out.pos += bytes.byteLength;
+    recordSample(track, duration, bytes.byteLength, cto, sync);
+  }
+
+  function emitVideo(track, duration) {
+    const sample = track.pending;
+    track.pending = null;
+    if (!sample.parts.length) return;
+    // DTS going backwards (wrap or discontinuity) reuses the previous frame duration
+    if (duration > 0) track.lastDuration = duration;
+    writeSample(track, concatBytes(sample.parts), track.lastDuration || 3000, sample.cto, sample.sync);
+  }
+
+  function pushVideo(track, packet) {
+    const parts = [];
+    let sync = false;
+    for (const nal of splitNalUnits(packet.data)) {
+      const type = nal[0] & 0x1F;
+      if (type === 7) { if (!track.sps) track.sps = nal.slice(); continue; }
+      if (type === 8) { if (!track.pps) track.pps = nal.slice(); continue; }
+      if (type === 9) continue; // access unit delimiter
+      if (type === 5) sync = true;
+      parts.push(u32Bytes([nal.length]), nal.slice());
+    }
+
+    // No timestamp: the rest of the previous access unit
+    if (packet.dts === null) {
+      if (track.pending) {
+        track.pending.parts.push(...parts);
+        track.pending.sync = track.pending.sync || sync;
+      }
+      return;
+    }
+
+    const cto = (packet.pts - packet.dts + 2 ** 33) % 2 ** 33;
+    if (track.pending) emitVideo(track, packet.dts - track.pending.dts);
+    if (track.firstTime === null) track.firstTime = packet.dts + cto;
+    track.pending = { dts: packet.dts, cto, sync, parts };
+  }
+
+  function pushAudio(track, packet) {
+    let data = packet.data;
+    if (track.leftover) {
+      data = concatBytes([track.leftover, data]);
+      track.leftover = null;
+    }
+    if (track.firstTime === null && packet.pts !== null) track.firstTime = packet.pts;
+
+    let p = 0;
+    while (p + 7 <= data.length) {
+      if (data[p] !== 0xFF || (data[p + 1] & 0xF0) !== 0xF0) { p++; continue; }
+      const headerLen = (data[p + 1] & 0x01) ? 7 : 9; // protection_absent
+      const frameLen = ((data[p + 3] & 0x03) << 11) | (data[p + 4] << 3) | (data[p + 5] >> 5);
+      if (frameLen <= headerLen) { p++; continue; }
+      if (p + frameLen > data.length) break;
+
+      if (!track.aac) {
+        const rateIndex = (data[p + 2] >> 2) & 0x0F;
+        track.aac = {
+          objectType: ((data[p + 2] >> 6) & 0x03) + 1,
+          rateIndex,
+          channels: ((data[p + 2] & 0x01) << 2) | (data[p + 3] >> 6),
+        };
+        track.timescale = AAC_SAMPLE_RATES[rateIndex] || 44100;
+      }
+      writeSample(track, data.slice(p + headerLen, p + frameLen), 1024, 0, true);
+      p += frameLen;
+    }
+    if (p < data.length) track.leftover = data.slice(p);
+  }
+
+  function flushStream(stream) {
+    if (!stream.parts) return;
+    const packet = parsePes(concatBytes(stream.parts));
+    stream.parts = null;
+    if (!packet) return;
+    if (stream.track.kind === 'video') pushVideo(stream.track, packet);
+    else pushAudio(stream.track, packet);
+  }
+
+  // PAT/PMT are assumed to fit in one packet, which is what segmenters emit
+  function psiSection(payload) {
+    const s = payload.subarray(1 + payload[0]); // pointer_field
+    const length = ((s[1] & 0x0F) << 8) | s[2];
+    return s.subarray(0, Math.min(s.length, 3 + length - 4)); // without CRC32
+  }
+
+  function parsePat(payload) {
+    const s = psiSection(payload);
+    for (let p = 8; p + 4 <= s.length; p += 4) {
+      if (((s[p] << 8) | s[p + 1]) === 0) continue; // network PID
+      pmtPid = ((s[p + 2] & 0x1F) << 8) | s[p + 3];
+      return;
+    }
+  }
+
+  function parsePmt(payload) {
+    if (streams.size) return; // repeated in every segment
+    const s = psiSection(payload);
+    const hasKind = (kind) => [...streams.values()].some(st => st.track.kind === kind);
+    const unsupported = [];
+
+    let p = 12 + (((s[10] & 0x0F) << 8) | s[11]);
+    while (p + 5 <= s.length) {
+      const type = s[p];
+      const pid = ((s[p + 1] & 0x1F) << 8) | s[p + 2];
+      p += 5 + (((s[p + 3] & 0x0F) << 8) | s[p + 4]);
+
+      let kind = null;
+      if (type === STREAM_TYPE_H264 && !hasKind('video')) kind = 'video';
+      else if (type === STREAM_TYPE_AAC && !hasKind('audio')) kind = 'audio';
+      if (!kind) { unsupported.push('0x' + type.toString(16)); continue; }
+
+      const track = createTrackState({
+        id: nextTrackId++,
+        kind,
+        timescale: TS_TIMESCALE,
+        firstTime: null,
+        chunkEnd: -1,
+        pending: null,
+        leftover: null,
+      });
+      streams.set(pid, { track, parts: null });
+    }
+    if (!streams.size) throw new Error(`Unsupported MPEG-TS stream types: ${unsupported.join(', ') || 'none'}`);
+  }
+
+  function handlePacket(u8, off) {
+    const pid = ((u8[off + 1] & 0x1F) << 8) | u8[off + 2];
+    const unitStart = (u8[off + 1] & 0x40) !== 0;
+    const adaptation = (u8[off + 3] >> 4) & 0x03;
+    if (!(adaptation & 0x01)) return; // no payload
+
+    let p = off + 4;
+    if (adaptation & 0x02) p += 1 + u8[p];
+    const end = off + TS_PACKET_SIZE;
+    if (p >= end) return;
+    const payload = u8.subarray(p, end);
+
+    if (pid === 0) { if (unitStart) parsePat(payload); return; }
+    if (pid === pmtPid) { if (unitStart) parsePmt(payload); return; }
+
+    const stream = streams.get(pid);
+    if (!stream) return;
+    if (unitStart) {
+      flushStream(stream);
+      stream.parts = [payload];
+    } else if (stream.parts) {
+      stream.parts.push(payload);
+    }
+  }
+
+  return {
+    // Returns the sample bytes completed by this segment; mdatPos as in appendFragments
+    push(u8, mdatPos) {
+      out = { parts: [], pos: mdatPos };
+      for (let off = 0; off + TS_PACKET_SIZE <= u8.length; off += TS_PACKET_SIZE) {
+        if (u8[off] !== 0x47) throw new Error('MPEG-TS sync byte lost');
+        handlePacket(u8, off);
+      }
+      return concatBytes(out.parts);
+    },
+
+    // Samples still buffered after the last segment
+    flush(mdatPos) {
+      out = { parts: [], pos: mdatPos };
+      for (const stream of streams.values()) {
+        flushStream(stream);
+        if (stream.track.pending) emitVideo(stream.track, 0);
+      }
+      return concatBytes(out.parts);
+    },
+
+    // Same { moov, movieTimescale, tracks } shape parseInitSegment returns
+    finish() {
+      const tracks = [...streams.values()].map(st => st.track).filter(t => t.sizes.length);
+      if (!tracks.length) throw new Error('No audio or video samples found in MPEG-TS segments');
+      const video = tracks.find(t => t.kind === 'video');
+      if (video && (!video.sps || !video.pps)) throw new Error('H.264 stream has no SPS/PPS');
+
+      // Line up tracks whose first presented sample starts later than the others'
+      const start = Math.min(...tracks.map(t => t.firstTime ?? Infinity));
+      for (const t of tracks) {
+        const delay = (Number.isFinite(start) && t.firstTime !== null) ? t.firstTime - start : 0;
+        t.edit = {
+          delay: Math.round(delay * MOVIE_TIMESCALE / TS_TIMESCALE),
+          mediaTime: t.kind === 'video' ? t.ctts[0] : 0,
+        };
+        t.trak = buildTrak(t);
+      }
+
+      return {
+        moov: { type: 'moov', children: [buildMvhd(Math.max(...tracks.map(t => t.id)) + 1), ...tracks.map(t => t.trak)] },
+        movieTimescale: MOVIE_TIMESCALE,
+        tracks: new Map(tracks.map(t => [t.id, t])),
+      };
+    },
+  };
+}
+
 let nextReqId = 1;
 const inflight = new Map(); // reqId -> {resolve,reject}
 
-function requestFetch(url, byteRange) {
+function requestFetch(url, byteRange, segment) {
   const reqId = nextReqId;
   nextReqId = (nextReqId % 1_000_000) + 1; // B4: wrap to avoid unbounded growth
-  postMessage({ type: 'FETCH', reqId, url, byteRange });
+  postMessage({ type: 'FETCH', reqId, url, byteRange, segment });
   return new Promise((resolve, reject) => inflight.set(reqId, { resolve, reject }));
 }
 
+// ===== AES-128 decryption =====
+// Keys come through the same FETCH bridge (uncached: segment null) and are imported
+// once per URI. Without an explicit IV the segment's media sequence number is used.
+function createKeyStore() {
+  const keys = new Map(); // uri -> Promise<CryptoKey>
+  return (url) => {
+    if (!keys.has(url)) {
+      keys.set(url, requestFetch(url, null, null).then((buf) => {
+        if (buf.byteLength !== 16) throw new Error(`AES-128 key is ${buf.byteLength} bytes, expected 16`);
+        return crypto.subtle.importKey('raw', buf, 'AES-CBC', false, ['decrypt']);
+      }));
+    }
+    return keys.get(url);
+  };
+}
+
+function ivFromSequence(sequence) {
+  const iv = new Uint8Array(16);
+  const dv = new DataView(iv.buffer);
+  dv.setUint32(8, Math.floor(sequence / 0x100000000));
+  dv.setUint32(12, sequence >>> 0);
+  return iv;
+}
+
+// part is the init map or a segment from parseM3u8; index as in requestFetch
+async function fetchPart(part, index, getKey) {
+  const buf = await requestFetch(part.url, part.byteRange || null, index);
+  if (!part.key) return buf;
+
+  const cryptoKey = await getKey(part.key.url);
+  try {
+    return await crypto.subtle.decrypt({ name: 'AES-CBC', iv: part.key.iv || ivFromSequence(part.sequence) }, cryptoKey, buf);
+  } catch {
+    throw new Error(`AES-128 decryption failed for ${index < 0 ? 'init segment' : `segment ${index}`}`);
+  }
+}
+
+async function resolveMediaPlaylist(manifestText, m3u8Url, preference) {
+  const variants = parseMasterPlaylist(manifestText, m3u8Url);
+  if (!variants.length) return { text: manifestText, url: m3u8Url };
+
+  // Separate audio renditions aren't muxed in, so fail rather than save a silent video
+  const muxed = variants.filter(v => !v.separateAudio);
+  if (!muxed.length) throw new Error('Unsupported HLS stream: audio is in a separate rendition');
+
+  const chosen = pickVariant(muxed, preference);
+  const buf = await requestFetch(chosen.url, null, null);
+  return { text: new TextDecoder().decode(buf), url: chosen.url };
+}
+
+function postChunk(videoId, kind, u8, index) {
+  // Make a tight ArrayBuffer for transfer
+  const buffer = u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
+  postMessage({ type: 'CHUNK', videoId, kind, index, buffer }, [buffer]);
+}
+
+async function runConcat(videoId, init, segments) {
+  const getKey = createKeyStore();
+
+  // INIT chunk (if present)
+  if (init?.url) {
+    const initBuf = await fetchPart(init, -1, getKey);
+    postMessage({ type: 'CHUNK', videoId, kind: 'init', buffer: initBuf }, [initBuf]);
+  }
+
+  // MEDIA chunks
+  for (let i = 0; i < segments.length; i++) {
+    const buf = await fetchPart(segments[i], i, getKey);
+    postChunk(videoId, 'media', stripLeadingFtypMoov(new Uint8Array(buf)), i);
+  }
+}
+
+// Output order: ftyp + mdat header, sample bytes per segment, then either the moov
+// (appended) followed by a PATCH of the mdat size, or the PATCH followed by an INSERT
+// asking the host to place the moov right after the ftyp (faststart).
+async function runRemux(videoId, init, segments, faststart) {
+  let movie = null;
+  let demuxer = null;
+  const getKey = createKeyStore();
+  if (init?.url) {
+    const initBuf = await fetchPart(init, -1, getKey);
+    movie = parseInitSegment(new Uint8Array(initBuf));
+  }
+
+  const ftyp = buildFtyp();
+  postChunk(videoId, 'head', concatBytes([ftyp, mdatHeader(0)]));
+
+  let mdatSize = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const u8 = new Uint8Array(await fetchPart(segments[i], i, getKey));
+    // Without #EXT-X-MAP segments are MPEG-TS or each carry their own ftyp/moov
+    if (!movie && !demuxer) {
+      if (isTransportStream(u8)) demuxer = createTsDemuxer();
+      else movie = parseInitSegment(u8);
+    }
+    const samples = demuxer ? demuxer.push(u8, mdatSize) : appendFragments(u8, movie, mdatSize);
+    mdatSize += samples.byteLength;
+    postChunk(videoId, 'media', samples, i);
+  }
+
+  if (demuxer) {
+    const tail = demuxer.flush(mdatSize);
+    mdatSize += tail.byteLength;
+    if (tail.byteLength) postChunk(videoId, 'media', tail, segments.length);
+    movie = demuxer.finish();
+  }
+
+  const moov = buildMovieBox(movie, ftyp.byteLength, mdatSize, faststart);
+  if (!faststart) postChunk(videoId, 'moov', moov);
+
+  const sizeBuf = mdatHeader(mdatSize).buffer;
+  postMessage({ type: 'PATCH', videoId, position: ftyp.byteLength, buffer: sizeBuf }, [sizeBuf]);
+
+  if (faststart) {
+    const buffer = moov.buffer.slice(moov.byteOffset, moov.byteOffset + moov.byteLength);
+    postMessage({ type: 'INSERT', videoId, position: ftyp.byteLength, buffer }, [buffer]);
+  }
+}
+
 onmessage = async (ev) => {
   const msg = ev.data;
 
@@ -105,36 +1085,19 @@ onmessage = async (ev) => {
 
   if (msg?.type !== 'START') return;
 
-  const { videoId, m3u8Url, manifestText } = msg;
+  const { videoId, m3u8Url, manifestText, remux, faststart, variant } = msg;
 
   try {
-    const { init, segments } = parseM3u8(manifestText, m3u8Url);
+    const playlist = await resolveMediaPlaylist(manifestText, m3u8Url, variant);
+    const { init, segments } = parseM3u8(playlist.text, playlist.url);
     if (!segments.length) throw new Error('No segments found in manifest');
 
-    // INIT chunk (if present)
-    if (init?.url) {
-      const initBuf = await requestFetch(init.url, init.byteRange || null);
-      postMessage({ type: 'CHUNK', videoId, kind: 'init', buffer: initBuf }, [initBuf]);
-    }
-
-    // MEDIA chunks
-    for (let i = 0; i < segments.length; i++) {
-      const seg = segments[i];
-      const buf = await requestFetch(seg.url, seg.byteRange || null);
-
-      const strippedU8 = stripLeadingFtypMoov(new Uint8Array(buf));
-
-      // Make a tight ArrayBuffer for transfer
-      const outBuf = strippedU8.buffer.slice(
-        strippedU8.byteOffset,
-        strippedU8.byteOffset + strippedU8.byteLength
-      );
-
-      postMessage({ type: 'CHUNK', videoId, kind: 'media', index: i, buffer: outBuf }, [outBuf]);
-    }
+    // Playlists without #EXT-X-MAP (MPEG-TS) can only be rebuilt, not concatenated
+    if (remux || !init?.url) await runRemux(videoId, init, segments, faststart === true);
+    else await runConcat(videoId, init, segments);
 
     postMessage({ type: 'DONE', videoId });
   } catch (e) {
     postMessage({ type: 'ERROR', videoId, error: String(e?.message || e) });
   }
-};
\ No newline at end of file
+};
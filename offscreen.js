@@ -0,0 +1,707 @@
+// offscreen.js — offscreen document owned by background.js
+// - Hosts mp4worker.js (MV3 service workers cannot spawn Web Workers)
+// - Answers the worker's FETCH requests with retry/backoff, caching each init/media
+//   segment in IndexedDB so an interrupted HLS job resumes from the first missing one
+// - Streams the assembled MP4 into an origin-private file and returns an object URL
+//   for chrome.downloads, so tab memory stays bounded regardless of video length
+// - Does the same for plain fetched files (the fetch download fallback)
+// - Builds ZIP archives for batch mode the same way (stored entries, ZIP64)
+
+const SEGMENT_RETRIES = 4;
+const SEGMENT_BACKOFF_MS = 250;
+
+const SEGMENT_DB_NAME = 'rg_segment_cache';
+const SEGMENT_STORE = 'segments';
+const SEGMENT_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // abandoned jobs
+const SINK_DIR = 'rg-output';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ===== Segment cache (IndexedDB) =====
+// Records are { videoId, index, source, buffer, at } keyed by [videoId, index]; index -1
+// is the init map. A record only counts as a hit when its source (segment URL and byte
+// range) matches, so a retry that lands on another playlist or variant refetches instead
+// of splicing two renditions. Cache errors are logged and otherwise ignored — the
+// network is the fallback.
+let segmentDbPromise = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openSegmentDb() {
+  if (!segmentDbPromise) {
+    const req = indexedDB.open(SEGMENT_DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(SEGMENT_STORE, { keyPath: ['videoId', 'index'] });
+      store.createIndex('at', 'at');
+    };
+    segmentDbPromise = idbRequest(req);
+    segmentDbPromise.catch(() => { segmentDbPromise = null; });
+  }
+  return segmentDbPromise;
+}
+
+// Query strings are left out: signed CDN tokens can change between attempts at the same file
+function segmentSource(url, byteRange) {
+  const u = new URL(url);
+  const range = byteRange ? `@${byteRange.offset}+${byteRange.length}` : '';
+  return `${u.origin}${u.pathname}${range}`;
+}
+
+async function cacheGetSegment(videoId, index, source) {
+  try {
+    const db = await openSegmentDb();
+    const rec = await idbRequest(db.transaction(SEGMENT_STORE).objectStore(SEGMENT_STORE).get([videoId, index]));
+    return rec?.source === source ? rec.buffer : null;
+  } catch (e) {
+    console.warn('[RedgifsBulk] segment cache read failed:', e);
+    return null;
+  }
+}
+
+// Resolves once the record is committed; IDB clones the buffer at put() time, so
+// callers may transfer it afterwards.
+async function cachePutSegment(videoId, index, source, buffer) {
+  try {
+    const db = await openSegmentDb();
+    const tx = db.transaction(SEGMENT_STORE, 'readwrite');
+    tx.objectStore(SEGMENT_STORE).put({ videoId, index, source, buffer, at: Date.now() });
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } catch (e) {
+    console.warn('[RedgifsBulk] segment cache write failed:', e);
+  }
+}
+
+async function cacheDeleteRange(range, indexName) {
+  const db = await openSegmentDb();
+  const tx = db.transaction(SEGMENT_STORE, 'readwrite');
+  const store = tx.objectStore(SEGMENT_STORE);
+  const source = indexName ? store.index(indexName) : store;
+  source.openCursor(range).onsuccess = (ev) => {
+    const cursor = ev.target.result;
+    if (!cursor) return;
+    cursor.delete();
+    cursor.continue();
+  };
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function cacheClearVideo(videoId) {
+  await cacheDeleteRange(IDBKeyRange.bound([videoId, -1], [videoId, Infinity]));
+}
+
+async function cachePurgeStale() {
+  await cacheDeleteRange(IDBKeyRange.upperBound(Date.now() - SEGMENT_CACHE_MAX_AGE_MS), 'at');
+}
+
+async function fetchText(url) {
+  const res = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(30_000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return await res.text();
+}
+
+async function fetchArrayBuffer(url, byteRange) {
+  const headers = new Headers();
+  if (byteRange && Number.isFinite(byteRange.offset) && Number.isFinite(byteRange.length)) {
+    const start = byteRange.offset;
+    const end = start + byteRange.length - 1;
+    headers.set('Range', `bytes=${start}-${end}`);
+  }
+
+  const res = await fetch(url, { method: 'GET', headers, credentials: 'include', mode: 'cors', signal: AbortSignal.timeout(30_000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching segment`);
+  return await res.arrayBuffer();
+}
+
+async function fetchArrayBufferWithRetry(url, byteRange) {
+  let lastErr = null;
+  for (let attempt = 0; attempt <= SEGMENT_RETRIES; attempt++) {
+    try {
+      return await fetchArrayBuffer(url, byteRange);
+    } catch (e) {
+      lastErr = e;
+      if (attempt === SEGMENT_RETRIES) break;
+      await sleep(SEGMENT_BACKOFF_MS * Math.pow(2, attempt));
+    }
+  }
+  throw new Error(lastErr?.message || String(lastErr) || 'Segment fetch failed');
+}
+
+// ===== Streaming sink (origin-private file system) =====
+// A File read back from OPFS is disk-backed, so its object URL hands the finished MP4
+// to chrome.downloads without the whole video ever sitting in memory.
+const sinkFiles = new Map(); // objectUrl -> OPFS file name
+
+async function getSinkDir() {
+  await sinkDirCleared;
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(SINK_DIR, { create: true });
+}
+
+const SINK_COPY_CHUNK = 8 * 1024 * 1024;
+
+async function createFileSink(name) {
+  const dir = await getSinkDir();
+  const handle = await dir.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  const insertedName = `fs-${name}`;
+  return {
+    name,
+    write: (buffer) => writable.write(buffer),
+    // Overwrites bytes already written; the cursor moves with it, so the worker only
+    // patches once everything else has been appended.
+    patch: (position, buffer) => writable.write({ type: 'write', position, data: buffer }),
+    // insert = { position, buffer }: OPFS can't grow a file in the middle, so the result
+    // is copied into a second file with the buffer spliced in, in bounded slices.
+    async close(insert) {
+      await writable.close();
+      if (!insert) return handle.getFile();
+
+      const src = await handle.getFile();
+      const outHandle = await dir.getFileHandle(insertedName, { create: true });
+      const out = await outHandle.createWritable();
+      try {
+        const copy = async (start, end) => {
+          for (let p = start; p < end; p += SINK_COPY_CHUNK) {
+            await out.write(await src.slice(p, Math.min(end, p + SINK_COPY_CHUNK)).arrayBuffer());
+          }
+        };
+        await copy(0, insert.position);
+        await out.write(insert.buffer);
+        await copy(insert.position, src.size);
+        await out.close();
+      } catch (e) {
+        try { await out.abort(); } catch {}
+        throw e;
+      }
+      try { await dir.removeEntry(name); } catch {}
+      return outHandle.getFile();
+    },
+    async abort() {
+      try { await writable.abort(); } catch {}
+      try { await dir.removeEntry(name); } catch {}
+      try { await dir.removeEntry(insertedName); } catch {}
+    },
+  };
+}
+
+async function removeSinkFile(name) {
+  try { await (await getSinkDir()).removeEntry(name); } catch {}
+}
+
+// Nothing can still be downloading from a previous document's object URLs
+async function clearSinkDir() {
+  const root = await navigator.storage.getDirectory();
+  try { await root.removeEntry(SINK_DIR, { recursive: true }); } catch {}
+}
+const sinkDirCleared = clearSinkDir().catch(e => console.warn('[RedgifsBulk] output cleanup failed:', e));
+
+async function assembleMp4FromM3u8(videoId, m3u8Url, options = {}) {
+  const manifestText = await fetchText(m3u8Url);
+
+  const sink = await createFileSink(`${videoId}.mp4`);
+  const worker = new Worker(chrome.runtime.getURL('mp4worker.js'), { type: 'module' });
+
+  const cleanup = () => { try { worker.terminate(); } catch {} };
+  // Writes are chained so chunks land in order, and FETCH answers wait for the chain,
+  // which keeps roughly one segment in memory at a time.
+  let writing = Promise.resolve();
+  let insert = null;
+
+  try {
+    return await new Promise((resolve, reject) => {
+      worker.onmessage = async (ev) => {
+        const msg = ev.data;
+
+        if (msg?.type === 'FETCH') {
+          const { reqId, url, byteRange, segment } = msg;
+          const cacheable = Number.isInteger(segment);
+          try {
+            await writing;
+            const source = cacheable ? segmentSource(url, byteRange) : null;
+            let buf = cacheable ? await cacheGetSegment(videoId, segment, source) : null;
+            if (!buf) {
+              buf = await fetchArrayBufferWithRetry(url, byteRange || null);
+              if (cacheable) await cachePutSegment(videoId, segment, source, buf);
+            }
+            worker.postMessage({ type: 'FETCH_RESULT', reqId, ok: true, buffer: buf }, [buf]);
+          } catch (e) {
+            worker.postMessage({ type: 'FETCH_RESULT', reqId, ok: false, error: String(e?.message || e) });
+          }
+          return;
+        }
+
+        if (msg?.type === 'CHUNK' && msg.videoId === videoId) {
+          const buffer = msg.buffer;
+          writing = writing.then(() => sink.write(buffer));
+          return;
+        }
+
+        if (msg?.type === 'PATCH' && msg.videoId === videoId) {
+          const { position, buffer } = msg;
+          writing = writing.then(() => sink.patch(position, buffer));
+          return;
+        }
+
+        if (msg?.type === 'INSERT' && msg.videoId === videoId) {
+          insert = { position: msg.position, buffer: msg.buffer };
+          return;
+        }
+
+        if (msg?.type === 'DONE' && msg.videoId === videoId) {
+          try {
+            await writing;
+            resolve(await sink.close(insert));
+          } catch (e) {
+            reject(e);
+          } finally {
+            cleanup();
+          }
+          return;
+        }
+
+        if (msg?.type === 'ERROR' && msg.videoId === videoId) {
+          try { reject(new Error(msg.error || 'Worker error')); } finally { cleanup(); }
+        }
+      };
+
+      worker.onerror = (e) => { cleanup(); reject(new Error(e.message || 'Worker crashed')); };
+      worker.postMessage({
+        type: 'START',
+        videoId,
+        m3u8Url,
+        manifestText,
+        remux: options.remux === true,
+        faststart: options.faststart === true,
+        variant: options.variant,
+      });
+    });
+  } catch (e) {
+    await sink.abort();
+    throw e;
+  }
+}
+
+// ===== ZIP archives (batch mode) =====
+// Entries are stored uncompressed (video doesn't deflate) and streamed straight into
+// an OPFS file. Each local header is written with placeholders and patched once the
+// entry's CRC and size are known, so no data descriptors are needed; a reserved extra
+// field becomes the ZIP64 one if an entry turns out to exceed 4 GiB. Operations on
+// one archive are serialized, and a failed entry is truncated away so the chain in
+// background.js can try another source. A mark/rollback pair does the same for all
+// the entries of a queue item (a gallery post whose later file fails).
+const ZIP_PAD_EXTRA = 0x7270; // ignored by readers until rewritten as ZIP64 (0x0001)
+const ZIP_LIMIT_32 = 0xFFFFFFFF;
+const ZIP_STREAM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const archives = new Map(); // archiveId -> archive
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32Update(crc, u8) {
+  let c = crc;
+  for (let i = 0; i < u8.length; i++) c = CRC_TABLE[(c ^ u8[i]) & 0xFF] ^ (c >>> 8);
+  return c >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function zipBytes(size, fill) {
+  const u8 = new Uint8Array(size);
+  fill(new DataView(u8.buffer));
+  return u8;
+}
+
+function setU64(dv, off, value) {
+  dv.setUint32(off, value % 0x100000000, true);
+  dv.setUint32(off + 4, Math.floor(value / 0x100000000), true);
+}
+
+async function createZipArchive(archiveId) {
+  const name = `zip-${archiveId}.zip`;
+  const dir = await getSinkDir();
+  const handle = await dir.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  const entries = [];
+  const usedNames = new Set();
+  let offset = 0;
+  let pending = Promise.resolve();
+
+  const write = async (data) => {
+    await writable.write(data);
+    offset += data.byteLength;
+  };
+
+  // Same name twice (e.g. a retried item) gets a numeric suffix like the Downloads folder
+  const uniqueName = (entryName) => {
+    let candidate = entryName;
+    for (let n = 1; usedNames.has(candidate.toLowerCase()); n++) {
+      candidate = entryName.replace(/(\.[^./]+)?$/, ext => ` (${n})${ext}`);
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  };
+
+  async function addEntry(entryName, chunks) {
+    const finalName = uniqueName(entryName);
+    const nameBytes = new TextEncoder().encode(finalName);
+    const { time, date } = dosDateTime(new Date());
+    const headerOffset = offset;
+
+    await write(zipBytes(30 + nameBytes.length + 20, (dv) => {
+      dv.setUint32(0, 0x04034b50, true);
+      dv.setUint16(4, 20, true); // version needed
+      dv.setUint16(6, 0x0800, true); // UTF-8 names
+      dv.setUint16(8, 0, true); // stored
+      dv.setUint16(10, time, true);
+      dv.setUint16(12, date, true);
+      // 14..25: CRC and sizes, patched below
+      dv.setUint16(26, nameBytes.length, true);
+      dv.setUint16(28, 20, true);
+      new Uint8Array(dv.buffer).set(nameBytes, 30);
+      dv.setUint16(30 + nameBytes.length, ZIP_PAD_EXTRA, true);
+      dv.setUint16(32 + nameBytes.length, 16, true);
+    }));
+
+    let crc = 0xFFFFFFFF;
+    let size = 0;
+    try {
+      for await (const chunk of chunks) {
+        const u8 = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        crc = crc32Update(crc, u8);
+        size += u8.byteLength;
+        await write(u8);
+      }
+    } catch (e) {
+      await writable.write({ type: 'truncate', size: headerOffset });
+      offset = headerOffset;
+      usedNames.delete(finalName.toLowerCase());
+      throw e;
+    }
+    crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+    const zip64 = size >= ZIP_LIMIT_32;
+    await writable.write({
+      type: 'write',
+      position: headerOffset + 4,
+      data: zipBytes(2, dv => dv.setUint16(0, zip64 ? 45 : 20, true)),
+    });
+    await writable.write({
+      type: 'write',
+      position: headerOffset + 14,
+      data: zipBytes(12, (dv) => {
+        dv.setUint32(0, crc, true);
+        dv.setUint32(4, zip64 ? ZIP_LIMIT_32 : size, true);
+        dv.setUint32(8, zip64 ? ZIP_LIMIT_32 : size, true);
+      }),
+    });
+    if (zip64) {
+      await writable.write({
+        type: 'write',
+        position: headerOffset + 30 + nameBytes.length,
+        data: zipBytes(20, (dv) => {
+          dv.setUint16(0, 0x0001, true);
+          dv.setUint16(2, 16, true);
+          setU64(dv, 4, size);
+          setU64(dv, 12, size);
+        }),
+      });
+    }
+    await writable.write({ type: 'seek', position: offset });
+
+    entries.push({ name: finalName.toLowerCase(), nameBytes, crc, size, headerOffset, time, date });
+  }
+
+  async function rollback(mark) {
+    if (mark.offset >= offset) return;
+    for (const e of entries.splice(mark.entries)) usedNames.delete(e.name);
+    await writable.write({ type: 'truncate', size: mark.offset });
+    offset = mark.offset;
+  }
+
+  async function finish() {
+    const cdOffset = offset;
+    for (const e of entries) {
+      const sizes64 = e.size >= ZIP_LIMIT_32;
+      const offset64 = e.headerOffset >= ZIP_LIMIT_32;
+      const extraLen = (sizes64 || offset64) ? 4 + (sizes64 ? 16 : 0) + (offset64 ? 8 : 0) : 0;
+      await write(zipBytes(46 + e.nameBytes.length + extraLen, (dv) => {
+        dv.setUint32(0, 0x02014b50, true);
+        dv.setUint16(4, 45, true); // version made by
+        dv.setUint16(6, extraLen ? 45 : 20, true);
+        dv.setUint16(8, 0x0800, true);
+        dv.setUint16(10, 0, true);
+        dv.setUint16(12, e.time, true);
+        dv.setUint16(14, e.date, true);
+        dv.setUint32(16, e.crc, true);
+        dv.setUint32(20, sizes64 ? ZIP_LIMIT_32 : e.size, true);
+        dv.setUint32(24, sizes64 ? ZIP_LIMIT_32 : e.size, true);
+        dv.setUint16(28, e.nameBytes.length, true);
+        dv.setUint16(30, extraLen, true);
+        dv.setUint32(42, offset64 ? ZIP_LIMIT_32 : e.headerOffset, true);
+        new Uint8Array(dv.buffer).set(e.nameBytes, 46);
+        if (extraLen) {
+          let p = 46 + e.nameBytes.length;
+          dv.setUint16(p, 0x0001, true);
+          dv.setUint16(p + 2, extraLen - 4, true);
+          p += 4;
+          if (sizes64) { setU64(dv, p, e.size); setU64(dv, p + 8, e.size); p += 16; }
+          if (offset64) setU64(dv, p, e.headerOffset);
+        }
+      }));
+    }
+    const cdSize = offset - cdOffset;
+
+    const needZip64 = entries.length >= 0xFFFF || cdOffset >= ZIP_LIMIT_32 || cdSize >= ZIP_LIMIT_32;
+    if (needZip64) {
+      const zip64EocdOffset = offset;
+      await write(zipBytes(56 + 20, (dv) => {
+        dv.setUint32(0, 0x06064b50, true);
+        setU64(dv, 4, 44); // size of the remaining record
+        dv.setUint16(12, 45, true);
+        dv.setUint16(14, 45, true);
+        setU64(dv, 24, entries.length);
+        setU64(dv, 32, entries.length);
+        setU64(dv, 40, cdSize);
+        setU64(dv, 48, cdOffset);
+        // locator
+        dv.setUint32(56, 0x07064b50, true);
+        setU64(dv, 64, zip64EocdOffset);
+        dv.setUint32(72, 1, true); // total disks
+      }));
+    }
+    await write(zipBytes(22, (dv) => {
+      dv.setUint32(0, 0x06054b50, true);
+      dv.setUint16(8, needZip64 ? 0xFFFF : entries.length, true);
+      dv.setUint16(10, needZip64 ? 0xFFFF : entries.length, true);
+      dv.setUint32(12, needZip64 ? ZIP_LIMIT_32 : cdSize, true);
+      dv.setUint32(16, needZip64 ? ZIP_LIMIT_32 : cdOffset, true);
+    }));
+
+    await writable.close();
+    return handle.getFile();
+  }
+
+  const serialize = (fn) => {
+    const run = pending.then(fn, fn);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name,
+    get bytes() { return offset; },
+    add: (entryName, chunks) => serialize(() => addEntry(entryName, chunks)),
+    mark: () => serialize(() => ({ offset, entries: entries.length })),
+    rollback: (mark) => serialize(() => rollback(mark)),
+    close: () => serialize(finish),
+    async abort() {
+      try { await writable.abort(); } catch {}
+      await removeSinkFile(name);
+    },
+  };
+}
+
+async function* responseChunks(url) {
+  const res = await fetch(url, {
+    credentials: 'include',
+    headers: { 'Accept': '*/*' },
+    signal: AbortSignal.timeout(ZIP_STREAM_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    yield value;
+  }
+}
+
+async function* fileChunks(file) {
+  const reader = file.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    yield value;
+  }
+}
+
+function getArchive(archiveId) {
+  const archive = archives.get(archiveId);
+  if (!archive) throw new Error(`Unknown archive ${archiveId}`);
+  return archive;
+}
+
+// ===== Fetched downloads =====
+// The fetch fallback for MP4s, images, posters and previews: the response is streamed
+// into a disk-backed file whose object URL goes to chrome.downloads, since the service
+// worker can't create object URLs.
+let fetchSinkSeq = 0;
+
+async function fetchToFile(url) {
+  const sink = await createFileSink(`fetch-${Date.now().toString(36)}-${++fetchSinkSeq}`);
+  try {
+    for await (const chunk of responseChunks(url)) await sink.write(chunk);
+    return await sink.close();
+  } catch (e) {
+    await sink.abort();
+    throw e;
+  }
+}
+
+// ===== Message router (background → offscreen only) =====
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.target !== 'offscreen') return false;
+
+  (async () => {
+    try {
+      if (msg.type === 'HLS_ASSEMBLE') {
+        const file = await assembleMp4FromM3u8(msg.videoId, msg.m3u8Url, {
+          remux: msg.remux,
+          faststart: msg.faststart,
+          variant: msg.variant,
+        });
+        const url = URL.createObjectURL(file);
+        sinkFiles.set(url, file.name);
+        sendResponse({ success: true, url });
+        return;
+      }
+
+      if (msg.type === 'FETCH_TO_FILE') {
+        const file = await fetchToFile(msg.url);
+        const url = URL.createObjectURL(file);
+        sinkFiles.set(url, file.name);
+        sendResponse({ success: true, url });
+        return;
+      }
+
+      if (msg.type === 'ZIP_OPEN') {
+        if (!archives.has(msg.archiveId)) archives.set(msg.archiveId, await createZipArchive(msg.archiveId));
+        sendResponse({ success: true });
+        return;
+      }
+
+      if (msg.type === 'ZIP_ADD_URL') {
+        const archive = getArchive(msg.archiveId);
+        await archive.add(msg.name, responseChunks(msg.url));
+        sendResponse({ success: true, bytes: archive.bytes });
+        return;
+      }
+
+      // Assembled into its own sink file first (remux needs the finished moov), then copied in
+      if (msg.type === 'ZIP_ADD_HLS') {
+        const archive = getArchive(msg.archiveId);
+        const file = await assembleMp4FromM3u8(msg.videoId, msg.m3u8Url, {
+          remux: msg.remux,
+          faststart: msg.faststart,
+          variant: msg.variant,
+        });
+        try {
+          await archive.add(msg.name, fileChunks(file));
+        } finally {
+          await removeSinkFile(file.name);
+        }
+        sendResponse({ success: true, bytes: archive.bytes });
+        return;
+      }
+
+      // Lets a restarted background reattach to an archive it opened before
+      if (msg.type === 'ZIP_STATUS') {
+        const archive = archives.get(msg.archiveId);
+        sendResponse(archive ? { success: true, bytes: archive.bytes } : { success: false, error: 'Unknown archive' });
+        return;
+      }
+
+      if (msg.type === 'ZIP_MARK') {
+        const mark = await getArchive(msg.archiveId).mark();
+        sendResponse({ success: true, mark });
+        return;
+      }
+
+      if (msg.type === 'ZIP_ROLLBACK') {
+        const archive = getArchive(msg.archiveId);
+        await archive.rollback(msg.mark);
+        sendResponse({ success: true, bytes: archive.bytes });
+        return;
+      }
+
+      if (msg.type === 'ZIP_ADD_TEXT') {
+        const archive = getArchive(msg.archiveId);
+        await archive.add(msg.name, [new TextEncoder().encode(msg.text)]);
+        sendResponse({ success: true, bytes: archive.bytes });
+        return;
+      }
+
+      if (msg.type === 'ZIP_CLOSE') {
+        const archive = getArchive(msg.archiveId);
+        archives.delete(msg.archiveId);
+        const file = await archive.close();
+        const url = URL.createObjectURL(file);
+        sinkFiles.set(url, file.name);
+        sendResponse({ success: true, url, bytes: file.size });
+        return;
+      }
+
+      // Without archiveId: every open archive (the background lost track of them)
+      if (msg.type === 'ZIP_ABORT') {
+        const ids = msg.archiveId ? [msg.archiveId] : [...archives.keys()];
+        for (const id of ids) {
+          const archive = archives.get(id);
+          archives.delete(id);
+          if (archive) await archive.abort();
+        }
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.type === 'HLS_CACHE_CLEAR') {
+        await cacheClearVideo(msg.videoId);
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.type === 'REVOKE_URL') {
+        try { URL.revokeObjectURL(msg.url); } catch {}
+        const name = sinkFiles.get(msg.url);
+        if (name) {
+          sinkFiles.delete(msg.url);
+          await removeSinkFile(name);
+        }
+        sendResponse({ ok: true });
+        return;
+      }
+
+      sendResponse({ success: false, error: 'UNKNOWN_MESSAGE' });
+    } catch (e) {
+      sendResponse({ success: false, error: String(e?.message || e) });
+    }
+  })();
+
+  return true;
+});
+
+cachePurgeStale().catch(e => console.warn('[RedgifsBulk] segment cache purge failed:', e));
@@ -9,6 +9,8 @@ const FAV_TAGS_KEY             = 'rg_fav_tags_v1';
 const CREATOR_VISITS_KEY       = 'rg_creator_visits';
 const CREATOR_FIRST_VISITS_KEY = 'rg_creator_first_visits';
 
+const MAX_CONCURRENCY = 6; // same limit as background.js
+
 const SYNC_DEFAULTS = { enabled: false, apiUrl: '', apiKey: '', lastSync: null };
 
 let showTimer;
@@ -57,6 +59,16 @@ async function loadSettings() {
     downloadSpeed: stored.downloadSpeed || 'normal',
     downloadDelayMin: Number.isFinite(stored.downloadDelayMin) ? stored.downloadDelayMin : 400,
     downloadDelayMax: Number.isFinite(stored.downloadDelayMax) ? stored.downloadDelayMax : 900,
+    downloadConcurrency: (Number.isInteger(stored.downloadConcurrency) && stored.downloadConcurrency >= 1 && stored.downloadConcurrency <= MAX_CONCURRENCY)
+      ? stored.downloadConcurrency : 1,
+    preferredQuality: stored.preferredQuality || 'hd',
+    sidecarJson: stored.sidecarJson === true,
+    sidecarNfo: stored.sidecarNfo === true,
+    hlsRemux: stored.hlsRemux !== false,
+    hlsFaststart: stored.hlsFaststart !== false,
+    hlsVariant: stored.hlsVariant || 'highest',
+    externalSites: Array.isArray(stored.externalSites) ? stored.externalSites : [],
+    zipPartSizeMb: Number.isInteger(stored.zipPartSizeMb) ? stored.zipPartSizeMb : 0,
     notifications: stored.notifications === true,
     filenameFormat: typeof stored.filenameFormat === 'string' ? stored.filenameFormat : '<id>',
     btnCornerEmbed: stored.btnCornerEmbed || 'top-right',
@@ -206,6 +218,71 @@ async function initNewSettings() {
   delayMinEl.addEventListener('change', saveCustomDelay);
   delayMaxEl.addEventListener('change', saveCustomDelay);
 
+  // Parallel downloads
+  const concurrencyEl = document.getElementById('downloadConcurrency');
+  for (let n = 2; n <= MAX_CONCURRENCY; n++) concurrencyEl.appendChild(new Option(String(n), String(n)));
+  concurrencyEl.value = String(settings.downloadConcurrency);
+  concurrencyEl.addEventListener('change', async () => {
+    const cur = await loadSettings();
+    cur.downloadConcurrency = parseInt(concurrencyEl.value, 10);
+    await saveSettings(cur);
+  });
+
+  // Preferred quality
+  const preferredQualityEl = document.getElementById('preferredQuality');
+  preferredQualityEl.value = settings.preferredQuality;
+  preferredQualityEl.addEventListener('change', async () => {
+    const cur = await loadSettings();
+    cur.preferredQuality = preferredQualityEl.value;
+    await saveSettings(cur);
+  });
+
+  // HLS output
+  const hlsRemuxEl = document.getElementById('hlsRemux');
+  const hlsFaststartEl = document.getElementById('hlsFaststart');
+  hlsRemuxEl.checked = settings.hlsRemux;
+  hlsFaststartEl.checked = settings.hlsFaststart;
+  hlsFaststartEl.disabled = !settings.hlsRemux;
+  hlsRemuxEl.addEventListener('change', async () => {
+    const cur = await loadSettings();
+    cur.hlsRemux = hlsRemuxEl.checked;
+    hlsFaststartEl.disabled = !hlsRemuxEl.checked;
+    await saveSettings(cur);
+  });
+  hlsFaststartEl.addEventListener('change', async () => {
+    const cur = await loadSettings();
+    cur.hlsFaststart = hlsFaststartEl.checked;
+    await saveSettings(cur);
+  });
+
+  const hlsVariantEl = document.getElementById('hlsVariant');
+  hlsVariantEl.value = settings.hlsVariant;
+  hlsVariantEl.addEventListener('change', async () => {
+    const cur = await loadSettings();
+    cur.hlsVariant = hlsVariantEl.value;
+    await saveSettings(cur);
+  });
+
+  // ZIP batches
+  const zipPartSizeEl = document.getElementById('zipPartSizeMb');
+  zipPartSizeEl.value = String(settings.zipPartSizeMb);
+  zipPartSizeEl.addEventListener('change', async () => {
+    const cur = await loadSettings();
+    cur.zipPartSizeMb = parseInt(zipPartSizeEl.value, 10);
+    await saveSettings(cur);
+  });
+
+  // Sidecar files
+  for (const key of ['sidecarJson', 'sidecarNfo']) {
+    const el = document.getElementById(key);
+    el.checked = settings[key];
+    el.addEventListener('change', async () => {
+      const cur = await loadSettings();
+      cur[key] = el.checked;
+      await saveSettings(cur);
+    });
+  }
+
   // Notifications
   const notificationsEl = document.getElementById('notifications');
   notificationsEl.checked = settings.notifications;
@@ -225,7 +302,20 @@ async function initNewSettings() {
   }
   updateFilenameWarning();
 
-  filenameFormatEl.addEventListener('input', updateFilenameWarning);
+  // Built by the background so the preview can't drift from real filenames
+  const filenamePreviewEl = document.getElementById('filenamePreview');
+  function updateFilenamePreview() {
+    chrome.runtime.sendMessage({ type: 'PREVIEW_FILENAME', format: filenameFormatEl.value }, (resp) => {
+      void chrome.runtime.lastError;
+      filenamePreviewEl.textContent = resp?.ok ? resp.filename : '';
+    });
+  }
+  updateFilenamePreview();
+
+  filenameFormatEl.addEventListener('input', () => {
+    updateFilenameWarning();
+    updateFilenamePreview();
+  });
   filenameFormatEl.addEventListener('change', async () => {
     const cur = await loadSettings();
     cur.filenameFormat = filenameFormatEl.value;
@@ -328,6 +418,145 @@ async function initFavTagsUI() {
   input.addEventListener('keydown', (e) => { if (e.key === 'Enter') addTag(); });
 }
 
+// Mirrors externalSiteOrigins() in background.js
+function externalSiteOrigins(host) {
+  return [`https://${host}/*`, `https://*.${host}/*`];
+}
+
+// "https://old.reddit.com/r/x" -> "old.reddit.com"; null for anything that isn't a host
+function parseSiteHost(input) {
+  let host = input.trim().toLowerCase();
+  if (!host) return null;
+  try { host = new URL(host.includes('://') ? host : `https://${host}`).hostname; } catch { return null; }
+  host = host.replace(/^www\./, '');
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) return null;
+  return host;
+}
+
+function renderExternalSiteList(sites) {
+  const container = document.getElementById('externalSiteList');
+  container.innerHTML = '';
+  for (const host of sites) {
+    const chip = document.createElement('span');
+    chip.className = 'fav-tag-chip';
+    const label = document.createElement('span');
+    label.textContent = host;
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      const cur = await loadSettings();
+      cur.externalSites = cur.externalSites.filter(h => h !== host);
+      await saveSettings(cur);
+      try { await chrome.permissions.remove({ origins: externalSiteOrigins(host) }); } catch {}
+      renderExternalSiteList(cur.externalSites);
+    });
+    chip.appendChild(label);
+    chip.appendChild(removeBtn);
+    container.appendChild(chip);
+  }
+}
+
+async function initExternalSitesUI() {
+  const settings = await loadSettings();
+  renderExternalSiteList(settings.externalSites);
+
+  const input = document.getElementById('externalSiteInput');
+  const addBtn = document.getElementById('externalSiteAdd');
+
+  async function addSite() {
+    const host = parseSiteHost(input.value);
+    if (!host) return show('Enter a site like reddit.com');
+    if (host === 'redgifs.com' || host.endsWith('.redgifs.com')) return show('Redgifs itself is always covered');
+    // Must run straight from the click: Chrome only shows the prompt for a user gesture
+    const granted = await chrome.permissions.request({ origins: externalSiteOrigins(host) });
+    if (!granted) return show(`Access to ${host} was not granted`);
+    const cur = await loadSettings();
+    if (!cur.externalSites.includes(host)) cur.externalSites.push(host);
+    await saveSettings(cur);
+    renderExternalSiteList(cur.externalSites);
+    input.value = '';
+    show(`Added ${host} — reload its open tabs`);
+  }
+
+  addBtn.addEventListener('click', addSite);
+  input.addEventListener('keydown', (e) => { if (e.key === 'Enter') addSite(); });
+}
+
+// The background parses the list and checks it against memory; nothing is queued
+// until the button is pressed.
+const IMPORT_PREVIEW_DEBOUNCE_MS = 300;
+
+function sendRuntimeMessage(msg) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, (resp) => {
+      void chrome.runtime.lastError;
+      resolve(resp);
+    });
+  });
+}
+
+async function initImportListUI() {
+  const listEl = document.getElementById('importList');
+  const skipEl = document.getElementById('importSkipDownloaded');
+  const queueBtn = document.getElementById('importQueue');
+  const previewEl = document.getElementById('importPreview');
+  let parsed = null;
+  let previewTimer = null;
+
+  const toQueue = () => {
+    if (!parsed) return [];
+    const downloaded = new Set(parsed.downloaded);
+    return skipEl.checked ? parsed.ids.filter(id => !downloaded.has(id)) : parsed.ids;
+  };
+
+  function render() {
+    const ids = toQueue();
+    queueBtn.disabled = !ids.length;
+    queueBtn.textContent = ids.length ? `Queue ${ids.length}` : 'Queue';
+    if (!parsed || (!parsed.ids.length && !parsed.invalid)) {
+      previewEl.textContent = '';
+      return;
+    }
+    const parts = [`${parsed.ids.length} video(s) found`];
+    if (parsed.downloaded.length) parts.push(`${parsed.downloaded.length} already downloaded`);
+    if (parsed.invalid) parts.push(`${parsed.invalid} unrecognised line(s)`);
+    previewEl.textContent = parts.join(' · ');
+  }
+
+  async function preview() {
+    const text = listEl.value;
+    const resp = text.trim() ? await sendRuntimeMessage({ type: 'IMPORT_PREVIEW', text }) : null;
+    // A newer keystroke may have changed the list while this was in flight
+    if (text !== listEl.value) return;
+    parsed = resp?.ok ? resp : null;
+    render();
+  }
+
+  listEl.addEventListener('input', () => {
+    clearTimeout(previewTimer);
+    queueBtn.disabled = true;
+    previewTimer = setTimeout(preview, IMPORT_PREVIEW_DEBOUNCE_MS);
+  });
+  skipEl.addEventListener('change', render);
+
+  queueBtn.addEventListener('click', async () => {
+    const ids = toQueue();
+    if (!ids.length) return;
+    queueBtn.disabled = true;
+    const resp = await sendRuntimeMessage({ type: 'QUEUE_ENQUEUE', items: ids.map(id => ({ id, creator: null })) });
+    if (!resp?.ok) {
+      show(`Could not queue: ${resp?.error || 'no response'}`);
+      render();
+      return;
+    }
+    show(`Queued ${resp.added}${resp.added < ids.length ? ` (${ids.length - resp.added} already queued)` : ''}`);
+    listEl.value = '';
+    parsed = null;
+    render();
+  });
+}
+
 async function loadSyncSettings() {
   const out = await chrome.storage.local.get(SYNC_KEY);
   const stored = out[SYNC_KEY] || {};
@@ -958,6 +1187,8 @@ document.getElementById('importCancel').addEventListener('click', hideImportMode
   await initNewIndicatorUI();
   await initNewSettings();
   await initFavTagsUI();
+  await initExternalSitesUI();
+  await initImportListUI();
   await initSyncUI();
   await initVersionUI();
 })().catch(console.error);
@@ -0,0 +1,113 @@
+// popup.js — toolbar popup: the background queue's state and controls, from any tab.
+// Renders rg_queue_v1 and re-renders on every storage change, like content.js does.
+const QUEUE_KEY = 'rg_queue_v1';
+const RECENT_SHOWN = 10;
+
+let queueState = null;
+
+function sendMessage(msg) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, (resp) => {
+      void chrome.runtime.lastError;
+      resolve(resp);
+    });
+  });
+}
+
+function watchLink(id) {
+  const a = document.createElement('a');
+  a.href = `https://www.redgifs.com/watch/${encodeURIComponent(id)}`;
+  a.target = '_blank';
+  a.rel = 'noopener';
+  a.textContent = id;
+  return a;
+}
+
+function render() {
+  const q = queueState;
+  const items = q?.items || [];
+  const active = items.filter(it => it.status === 'active');
+  const zipped = items.filter(it => it.status === 'zipped').length;
+  const paused = q?.paused === true;
+  const total = q?.batch?.total || 0;
+  // Same count as the page button: finished plus in flight
+  const current = Math.min((q?.batch?.done || 0) + (paused ? active.length : Math.max(active.length, 1)), total);
+
+  const statusEl = document.getElementById('batchStatus');
+  if (!items.length) statusEl.textContent = 'Idle';
+  else if (paused && !active.length) statusEl.textContent = `Paused at ${current} / ${total}`;
+  else statusEl.textContent = `${paused ? 'Pausing' : 'Downloading'} ${current} / ${total}`;
+
+  const activeEl = document.getElementById('activeIds');
+  activeEl.replaceChildren();
+  if (active.length) {
+    activeEl.appendChild(document.createTextNode('Now: '));
+    active.forEach((it, i) => {
+      if (i) activeEl.appendChild(document.createTextNode(', '));
+      activeEl.appendChild(watchLink(it.id));
+    });
+  }
+  if (zipped) activeEl.appendChild(document.createTextNode(`${active.length ? ' · ' : ''}${zipped} waiting for the ZIP to be saved`));
+
+  document.getElementById('controls').style.display = items.length ? 'flex' : 'none';
+  document.getElementById('pauseBtn').textContent = paused ? 'Resume' : 'Pause';
+
+  const failed = q?.failed || [];
+  document.getElementById('failedRow').style.display = failed.length ? 'flex' : 'none';
+  document.getElementById('failedCount').textContent = `${failed.length} failed`;
+
+  const recentEl = document.getElementById('recentList');
+  const recent = (q?.recent || []).slice(-RECENT_SHOWN).reverse();
+  recentEl.replaceChildren();
+  if (!recent.length) recentEl.textContent = 'Nothing downloaded yet.';
+  for (const r of recent) {
+    const row = document.createElement('div');
+    const mark = document.createElement('span');
+    mark.className = r.ok ? 'ok' : 'fail';
+    mark.textContent = r.ok ? '✓ ' : '✗ ';
+    row.appendChild(mark);
+    row.appendChild(watchLink(r.id));
+    const detail = r.ok ? (r.format || r.mode) : r.error;
+    if (detail) row.appendChild(document.createTextNode(` — ${detail}`));
+    recentEl.appendChild(row);
+  }
+}
+
+async function refreshMemCount() {
+  const resp = await sendMessage({ type: 'MEM_GET_COUNT' });
+  document.getElementById('memCount').textContent = resp?.ok ? String(resp.total) : '—';
+}
+
+document.getElementById('pauseBtn').addEventListener('click', async () => {
+  await sendMessage({ type: queueState?.paused ? 'QUEUE_RESUME' : 'QUEUE_PAUSE' });
+});
+
+// Items already downloading finish on their own, as with the page button
+document.getElementById('cancelBtn').addEventListener('click', async () => {
+  await sendMessage({ type: 'QUEUE_CANCEL' });
+});
+
+document.getElementById('retryBtn').addEventListener('click', async () => {
+  await sendMessage({ type: 'QUEUE_RETRY_FAILED' });
+});
+
+document.getElementById('openOptions').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[QUEUE_KEY]) return;
+  const prevDone = queueState?.batch?.done;
+  queueState = changes[QUEUE_KEY].newValue || null;
+  render();
+  if (queueState?.batch?.done !== prevDone) refreshMemCount();
+});
+
+sendMessage({ type: 'QUEUE_LIST' }).then(resp => {
+  if (resp?.ok) {
+    queueState = resp.queue;
+    render();
+  }
+});
+refreshMemCount();